@@ -0,0 +1,138 @@
+/**
+ * @author Michael Meigel
+ *
+ * Angle units, parsing of degree-minute-second strings and bearings, DMS formatting.
+ */
+
+import { addError, errorCodes } from "./errors.js";
+
+/**
+ * Factors to convert radians into an angle unit, the keys are the supported modes.
+ * @readonly
+ */
+export const angleUnits = Object.freeze({
+    deg: 180 / Math.PI,
+    rad: 1,
+    grad: 200 / Math.PI,
+    turn: 1 / (2 * Math.PI)
+});
+
+/**
+ * Checks an angle mode, an unknown mode is added as error to the result.
+ * @param {Object} result Result Object of a solver
+ * @param {string} mode
+ * @param {string} [name="mode"] Name of the parameter holding the mode
+ * @returns {boolean} true if the mode is known
+ */
+export function checkMode(result, mode, name = "mode") {
+    if (mode in angleUnits) {
+        return true;
+    }
+    addError(result, errorCodes.UNKNOWN_MODE, `Unknown mode: ${mode} - Must be "deg", "rad", "grad" or "turn"`, [name]);
+    return false;
+}
+
+/* Number with optional fraction */
+const number = String.raw`(\d+(?:\.\d+)?|\.\d+)`;
+/* e.g. 30°15'20", 30°, 15'20.5", -0°30' */
+const dmsPattern = new RegExp(String.raw`^([+-])?(?:${number}°)?(?:${number}['′])?(?:${number}["″])?$`);
+/* e.g. N 45° E, S 12°30' W */
+const bearingPattern = /^([NS])(.+)([EW])$/i;
+
+/**
+ * Converts a degree-minute-second string to degrees.
+ * Minutes and seconds must be <60 if a larger component is given.
+ * @param {string} text Without whitespace
+ * @returns {number} Degrees, NaN if text isn't a DMS string
+ */
+function dmsToDegrees(text) {
+    const match = dmsPattern.exec(text);
+    if (!match || match.slice(2).every(x => { return x === undefined })) {
+        return NaN;
+    }
+    const [, sign, degrees = 0, minutes = 0, seconds = 0] = match;
+    if ((match[2] !== undefined && Number(minutes) >= 60) || ((match[2] !== undefined || match[3] !== undefined) && Number(seconds) >= 60)) {
+        return NaN;
+    }
+    const value = Number(degrees) + Number(minutes) / 60 + Number(seconds) / 3600;
+    return sign === "-" ? -value : value;
+}
+
+/**
+ * Reads an angle value.
+ * Numbers and numeric strings are already in the given mode. Degree-minute-second strings like `30°15'20"`
+ * and quadrant bearings like `N 45° E` are always in degrees and are converted to the mode.
+ * Bearings are converted to azimuths, measured clockwise from north: `S 30° E` is 150°.
+ * @example parseAngle("30°30'") == 30.5
+ * @example parseAngle("N 45° W", "rad") == 7 * Math.PI / 4
+ * @param {number|string} value
+ * @param {string} [mode="deg"] Angle unit: "deg", "rad", "grad" or "turn"
+ * @returns {number} Angle in the given mode, NaN if the value can't be read
+ */
+export function parseAngle(value, mode = "deg") {
+    if (typeof value !== "string" || !/[°'′"″]|^\s*[NS]/i.test(value)) {
+        return Number(value);
+    }
+    if (!(mode in angleUnits)) {
+        return NaN;
+    }
+    const text = value.replace(/\s+/g, "");
+    let degrees;
+    const bearing = bearingPattern.exec(text);
+    if (bearing) {
+        /* Angle of a bearing can also be a plain number of degrees */
+        const angle = /^(\d+(\.\d+)?|\.\d+)$/.test(bearing[2]) ? Number(bearing[2]) : dmsToDegrees(bearing[2]);
+        if (!(angle >= 0 && angle <= 90)) {
+            return NaN;
+        }
+        const [ns, ew] = [bearing[1].toUpperCase(), bearing[3].toUpperCase()];
+        degrees = ns === "N" ? (ew === "E" ? angle : (360 - angle) % 360) : (ew === "E" ? 180 - angle : 180 + angle);
+    } else {
+        degrees = dmsToDegrees(text);
+    }
+    return degrees * (angleUnits[mode] / angleUnits.deg);
+}
+
+/**
+ * Formats an angle as degree-minute-second string, optionally as quadrant bearing of an azimuth.
+ * @example formatDMS(30.25555555) == `30°15'20"`
+ * @example formatDMS(135, {bearing: true}) == `S 45°00'00" E`
+ * @param {number} angle Angle in the given mode
+ * @param {Object} [options]
+ * @param {string} [options.mode="deg"] Angle unit of the given angle: "deg", "rad", "grad" or "turn"
+ * @param {number} [options.precision=0] Number of decimal places of the seconds
+ * @param {boolean} [options.bearing=false] Formats the angle as bearing, e.g. `N 45°00'00" E`. The angle is an azimuth, measured clockwise from north.
+ * @returns {?string} null if angle is not a number or mode is unknown
+ */
+export function formatDMS(angle, { mode = "deg", precision = 0, bearing = false } = {}) {
+    const value = parseAngle(angle, mode);
+    if (!Number.isFinite(value) || !(mode in angleUnits)) {
+        return null;
+    }
+    precision = Math.max(0, Math.floor(precision));
+    const degrees = value * (angleUnits.deg / angleUnits[mode]);
+    /* Integer count of the smallest shown fraction of a second, so rounding carries over to minutes and degrees */
+    const dms = (d) => {
+        const mul = 10 ** precision;
+        const units = Math.round(Math.abs(d) * 3600 * mul);
+        const wholeDegrees = Math.floor(units / (3600 * mul));
+        const minutes = Math.floor((units - wholeDegrees * 3600 * mul) / (60 * mul));
+        const seconds = (units - wholeDegrees * 3600 * mul - minutes * 60 * mul) / mul;
+        const sign = d < 0 && units > 0 ? "-" : "";
+        return `${sign}${wholeDegrees}°${String(minutes).padStart(2, "0")}'${seconds.toFixed(precision).padStart(precision > 0 ? 3 + precision : 2, "0")}"`;
+    };
+    if (!bearing) {
+        return dms(degrees);
+    }
+    const azimuth = ((degrees % 360) + 360) % 360;
+    if (azimuth <= 90) {
+        return `N ${dms(azimuth)} E`;
+    }
+    if (azimuth < 180) {
+        return `S ${dms(180 - azimuth)} E`;
+    }
+    if (azimuth <= 270) {
+        return `S ${dms(azimuth - 180)} W`;
+    }
+    return `N ${dms(360 - azimuth)} W`;
+}
@@ -0,0 +1,295 @@
+/**
+ * @author Michael Meigel
+ *
+ * Barycentric and trilinear coordinates, point location and interpolation on triangles of solvePoints().
+ */
+
+import { readPoint } from "./points.js";
+
+/* Side opposite of each vertex */
+const sideNames = ["a", "b", "c"];
+const vertexNames = ["A", "B", "C"];
+
+const subtract = (p, q) => { return [p[0] - q[0], p[1] - q[1], p[2] - q[2]] };
+const dot = (p, q) => { return p[0] * q[0] + p[1] * q[1] + p[2] * q[2] };
+const cross = (p, q) => { return [p[1] * q[2] - p[2] * q[1], p[2] * q[0] - p[0] * q[2], p[0] * q[1] - p[1] * q[0]] };
+
+/**
+ * Reads the vertices of a triangle, missing z coordinates are 0.
+ * @param {solveResult} triangle - Result of solvePoints() or placeSolution()
+ * @returns {?{vertices: Array.Array.number, dimension: number, normal: Array.number, sides: Array.number}} null if the triangle has no valid, non-degenerate vertices.
+ * normal is the cross product (B - A) x (C - A), its length is twice the area.
+ */
+function readTriangle(triangle) {
+    if (typeof triangle !== "object" || triangle === null) {
+        return null;
+    }
+    const points = vertexNames.map(name => { return readPoint(triangle[name]) });
+    if (points.includes(null)) {
+        return null;
+    }
+    const vertices = points.map(p => { return [p[0], p[1], p[2] ?? 0] });
+    const normal = cross(subtract(vertices[1], vertices[0]), subtract(vertices[2], vertices[0]));
+    if (!(dot(normal, normal) > 0)) {
+        return null;
+    }
+    const sides = [[1, 2], [2, 0], [0, 1]].map(([i, j]) => { return Math.hypot(...subtract(vertices[i], vertices[j])) });
+    return { vertices, dimension: Math.max(...points.map(p => { return p.length })), normal, sides };
+}
+
+/**
+ * Reads a Point with the dimension of the triangle, 2D Points get z = 0.
+ * @param {Point} point
+ * @returns {?Array.number} [x, y, z], null if the Point is invalid
+ */
+function readPoint3(point) {
+    const p = readPoint(point);
+    return p === null ? null : [p[0], p[1], p[2] ?? 0];
+}
+
+/**
+ * Creates a Point Object with the dimension of the triangle.
+ * @param {Array.number} p [x, y, z]
+ * @param {number} dimension
+ * @returns {Point}
+ */
+function toPoint(p, dimension) {
+    return dimension > 2 ? { x: p[0], y: p[1], z: p[2] } : { x: p[0], y: p[1] };
+}
+
+/**
+ * Barycentric coordinates of a Point, in 3D of its projection onto the plane of the triangle.
+ * Each coordinate is the signed area of the sub-triangle opposite of the vertex divided by the area of the triangle.
+ * @param {{vertices: Array.Array.number, normal: Array.number}} t
+ * @param {Array.number} p [x, y, z]
+ * @returns {Array.number}
+ */
+function barycentricOf({ vertices: [A, B, C], normal }, p) {
+    const [pa, pb, pc] = [A, B, C].map(v => { return subtract(v, p) });
+    const squaredNormal = dot(normal, normal);
+    const u = dot(normal, cross(pb, pc)) / squaredNormal;
+    const v = dot(normal, cross(pc, pa)) / squaredNormal;
+    return [u, v, 1 - u - v];
+}
+
+/**
+ * Cartesian coordinates of normalized barycentric coordinates.
+ * @param {{vertices: Array.Array.number}} t
+ * @param {Array.number} barycentric - Sum must be 1
+ * @returns {Array.number} [x, y, z]
+ */
+function cartesianOf({ vertices }, barycentric) {
+    return [0, 1, 2].map(i => { return vertices.reduce((s, v, j) => { return s + barycentric[j] * v[i] }, 0) });
+}
+
+/**
+ * Reads homogeneous coordinates and normalizes them to a sum of 1.
+ * @param {Array.number} coordinates
+ * @returns {?Array.number} null if they aren't three finite numbers with a sum other than 0
+ */
+function normalize(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 3) {
+        return null;
+    }
+    const values = coordinates.map(Number);
+    const sum = values[0] + values[1] + values[2];
+    if (!values.every(Number.isFinite) || sum === 0 || !Number.isFinite(sum)) {
+        return null;
+    }
+    return values.map(x => { return x / sum });
+}
+
+/**
+ * Converts cartesian coordinates to barycentric coordinates of a triangle.
+ * Three-dimensional Points are projected onto the plane of the triangle first.
+ * @example
+ * cartesianToBarycentric(solvePoints([0, 0], [4, 0], [0, 4]), [1, 1]) == [0.5, 0.25, 0.25]
+ * @param {solveResult} triangle - Result of {@link solvePoints} or {@link placeSolution}
+ * @param {Point} point
+ * @returns {?Array.number} Weights of A, B and C with a sum of 1, all >= 0 inside the triangle. null if the triangle or the Point is invalid
+ */
+export function cartesianToBarycentric(triangle, point) {
+    const t = readTriangle(triangle);
+    const p = readPoint3(point);
+    return t === null || p === null ? null : barycentricOf(t, p);
+}
+
+/**
+ * Converts barycentric coordinates of a triangle to cartesian coordinates.
+ * The coordinates are homogeneous, they are divided by their sum, e.g. [1, 1, 1] is the centroid.
+ * @example
+ * barycentricToCartesian(solvePoints([0, 0], [4, 0], [0, 4]), [2, 1, 1]) == {x:1, y:1}
+ * @param {solveResult} triangle - Result of {@link solvePoints} or {@link placeSolution}
+ * @param {Array.number} barycentric - Weights of A, B and C
+ * @returns {?Point} Three-dimensional if one of the vertices is. null if the triangle is invalid or the sum of the weights is 0
+ */
+export function barycentricToCartesian(triangle, barycentric) {
+    const t = readTriangle(triangle);
+    const weights = normalize(barycentric);
+    return t === null || weights === null ? null : toPoint(cartesianOf(t, weights), t.dimension);
+}
+
+/**
+ * Converts cartesian coordinates to exact trilinear coordinates of a triangle,
+ * the signed distances to the sides a, b and c. They are positive inside the triangle.
+ * Three-dimensional Points are projected onto the plane of the triangle first.
+ * @example
+ * cartesianToTrilinear(solvePoints([0, 0], [4, 0], [0, 4]), [1, 1]) == [1.414213562373095, 1, 1]
+ * @param {solveResult} triangle - Result of {@link solvePoints} or {@link placeSolution}
+ * @param {Point} point
+ * @returns {?Array.number} Distances to the sides a (BC), b (CA) and c (AB). null if the triangle or the Point is invalid
+ */
+export function cartesianToTrilinear(triangle, point) {
+    const t = readTriangle(triangle);
+    const p = readPoint3(point);
+    if (t === null || p === null) {
+        return null;
+    }
+    /* Distance to side a is the height of the sub-triangle PBC: 2 * area * u / a */
+    const doubleArea = Math.hypot(...t.normal);
+    return barycentricOf(t, p).map((x, i) => { return doubleArea * x / t.sides[i] });
+}
+
+/**
+ * Converts trilinear coordinates of a triangle to cartesian coordinates.
+ * The coordinates are homogeneous, only their ratio matters: [1, 1, 1] is the incenter.
+ * @example
+ * trilinearToCartesian(solvePoints([0, 0], [4, 0], [0, 4]), [1, 1, 1]) == solvePoints([0, 0], [4, 0], [0, 4]).solutions[0].incircle.center
+ * @param {solveResult} triangle - Result of {@link solvePoints} or {@link placeSolution}
+ * @param {Array.number} trilinear - Ratio of the distances to the sides a, b and c
+ * @returns {?Point} null if the triangle or the coordinates are invalid
+ */
+export function trilinearToCartesian(triangle, trilinear) {
+    const t = readTriangle(triangle);
+    if (t === null || !Array.isArray(trilinear) || trilinear.length !== 3) {
+        return null;
+    }
+    /* Barycentric weights are the trilinear coordinates times the side lengths */
+    const weights = normalize(trilinear.map((x, i) => { return Number(x) * t.sides[i] }));
+    return weights === null ? null : toPoint(cartesianOf(t, weights), t.dimension);
+}
+
+/**
+ * Location of a Point relative to a triangle.
+ * @typedef {Object} pointLocation
+ * @property {string} location - "inside", "edge", "vertex" or "outside"
+ * @property {string} [side] - Only for "edge": side the Point lies on, "a", "b" or "c"
+ * @property {string} [vertex] - Only for "vertex": "A", "B" or "C"
+ * @property {Array.number} barycentric - Barycentric coordinates of the Point
+ */
+
+/**
+ * Finds out if a Point is inside a triangle, on one of its edges or vertices or outside.
+ * Points are compared with a tolerance relative to the size of the triangle: barycentric coordinates between -tolerance and tolerance count as 0.
+ * In 3D Points farther than tolerance * longest side from the plane of the triangle are outside.
+ * @example
+ * locatePoint(solvePoints([0, 0], [4, 0], [0, 4]), [2, 0]).side == "c"
+ * @param {solveResult} triangle - Result of {@link solvePoints} or {@link placeSolution}
+ * @param {Point} point
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=1e-9] - Relative tolerance
+ * @returns {?pointLocation} null if the triangle or the Point is invalid
+ */
+export function locatePoint(triangle, point, { tolerance = 1e-9 } = {}) {
+    const t = readTriangle(triangle);
+    const p = readPoint3(point);
+    if (t === null || p === null) {
+        return null;
+    }
+    const barycentric = barycentricOf(t, p);
+    const planeDistance = Math.abs(dot(t.normal, subtract(p, t.vertices[0]))) / Math.hypot(...t.normal);
+    if (barycentric.some(x => { return x < -tolerance }) || planeDistance > tolerance * Math.max(...t.sides)) {
+        return { location: "outside", barycentric };
+    }
+    const zeros = [0, 1, 2].filter(i => { return Math.abs(barycentric[i]) <= tolerance });
+    if (zeros.length === 1) {
+        return { location: "edge", side: sideNames[zeros[0]], barycentric };
+    }
+    if (zeros.length === 2) {
+        /* The vertex is the one whose coordinate isn't 0 */
+        return { location: "vertex", vertex: vertexNames[3 - zeros[0] - zeros[1]], barycentric };
+    }
+    return { location: "inside", barycentric };
+}
+
+/**
+ * Closest point of a triangle to a given Point.
+ * @typedef {Object} closestPointResult
+ * @property {Point} point - Closest point on the triangle, including its interior
+ * @property {number} distance - Distance of the given Point to the closest point
+ * @property {Array.number} barycentric - Barycentric coordinates of the closest point, all >= 0
+ */
+
+/**
+ * Finds the point of a triangle (including its interior) closest to a given Point.
+ * Points inside the triangle are their own closest point, in 3D the closest point is the projection onto the plane if it lies inside.
+ * @example
+ * closestPoint(solvePoints([0, 0], [4, 0], [0, 4]), [5, -1]).point == {x:4, y:0}
+ * @param {solveResult} triangle - Result of {@link solvePoints} or {@link placeSolution}
+ * @param {Point} point
+ * @returns {?closestPointResult} null if the triangle or the Point is invalid
+ */
+export function closestPoint(triangle, point) {
+    const t = readTriangle(triangle);
+    const p = readPoint3(point);
+    if (t === null || p === null) {
+        return null;
+    }
+    let barycentric = barycentricOf(t, p);
+    if (barycentric.some(x => { return x < 0 })) {
+        /* The closest point lies on one of the edges, project onto each edge and take the nearest */
+        const candidates = [[1, 2], [2, 0], [0, 1]].map(([i, j]) => {
+            const edge = subtract(t.vertices[j], t.vertices[i]);
+            const s = Math.min(1, Math.max(0, dot(subtract(p, t.vertices[i]), edge) / dot(edge, edge)));
+            const weights = [0, 0, 0];
+            weights[i] = 1 - s;
+            weights[j] = s;
+            return weights;
+        });
+        const distances = candidates.map(weights => { return Math.hypot(...subtract(p, cartesianOf(t, weights))) });
+        barycentric = candidates[distances.indexOf(Math.min(...distances))];
+    }
+    const closest = cartesianOf(t, barycentric);
+    return { point: toPoint(closest, t.dimension), distance: Math.hypot(...subtract(p, closest)), barycentric };
+}
+
+/**
+ * Interpolates one attribute, recursively for Arrays and Objects.
+ * @param {Array} values - Values at A, B and C
+ * @param {Array.number} weights
+ * @returns {number|Array|Object|null} null if the values don't have the same structure
+ */
+function interpolateValue(values, weights) {
+    if (values.every(v => { return typeof v === "number" })) {
+        return weights[0] * values[0] + weights[1] * values[1] + weights[2] * values[2];
+    }
+    if (values.every(Array.isArray)) {
+        if (values.some(v => { return v.length !== values[0].length })) {
+            return null;
+        }
+        return values[0].map((_, i) => { return interpolateValue(values.map(v => { return v[i] }), weights) });
+    }
+    if (values.every(v => { return typeof v === "object" && v !== null })) {
+        return Object.fromEntries(Object.keys(values[0]).map(key => { return [key, interpolateValue(values.map(v => { return v[key] }), weights)] }));
+    }
+    return null;
+}
+
+/**
+ * Interpolates attributes of the vertices linearly at a Point, e.g. colors, normals or texture coordinates for shading.
+ * Attributes can be numbers, Arrays or Objects of numbers, the result has the same structure.
+ * Points outside the triangle are extrapolated, use {@link closestPoint} first to clamp them.
+ * @example
+ * interpolateAttributes(solvePoints([0, 0], [4, 0], [0, 4]), [1, 1], [{u:0, v:0}, {u:1, v:0}, {u:0, v:1}]) == {u:0.25, v:0.25}
+ * @param {solveResult} triangle - Result of {@link solvePoints} or {@link placeSolution}
+ * @param {Point} point
+ * @param {Array} attributes - Attributes of A, B and C
+ * @returns {number|Array|Object|null} null if the triangle or the Point is invalid, values which can't be interpolated are null
+ */
+export function interpolateAttributes(triangle, point, attributes) {
+    const weights = cartesianToBarycentric(triangle, point);
+    if (weights === null || !Array.isArray(attributes) || attributes.length !== 3) {
+        return null;
+    }
+    return interpolateValue(attributes, weights);
+}
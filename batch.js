@@ -0,0 +1,354 @@
+/**
+ * @author Michael Meigel
+ *
+ * Batch solver for large numbers of triangles in typed arrays.
+ * Rows are solved without creating Objects, results are written into preallocated Float64Arrays.
+ */
+
+import { angleUnits } from "./angles.js";
+import { angleFromSides, orient2d, triangleArea } from "./robust.js";
+
+/**
+ * Status codes of the rows of a batch, names are the same as the {@link errorCodes}.
+ * @readonly
+ * @enum {number}
+ */
+export const batchStatus = Object.freeze({
+    /* Row has exactly one solution */
+    OK: 0,
+    /* Ambiguous case SSA, the solution with the acute angle is written */
+    TWO_SOLUTIONS: 1,
+    ILLEGAL_VALUE: 2,
+    TOO_FEW_PARAMETERS: 3,
+    INCONSISTENT_INPUT: 4,
+    NO_SOLUTION: 5,
+    REPEATED_COORDINATES: 6,
+    UNKNOWN_MODE: 7
+});
+
+/* Same order as in solve: side lengths at even indices, opposite angle of index i at (i + 3) % 6 */
+const order = ["a", "gamma", "b", "alpha", "c", "beta"];
+/* Output arrays besides sides and angles */
+const outputNames = [...order, "area", "inradius", "circumradius"];
+/* Maximum difference of given and calculated values, in the unit of the input like in solve */
+const maxDifference = 0.001;
+
+/* Values of the current row, reused for every row. NaN marks unknown values. */
+const values = new Float64Array(6);
+const given = new Float64Array(6);
+
+/**
+ * Output arrays of a batch.
+ * @typedef {Object} batchOutput
+ * @property {Float64Array} a
+ * @property {Float64Array} b
+ * @property {Float64Array} c
+ * @property {Float64Array} alpha
+ * @property {Float64Array} beta
+ * @property {Float64Array} gamma
+ * @property {Float64Array} area
+ * @property {Float64Array} inradius - Radius of the incircle
+ * @property {Float64Array} circumradius - Radius of the circumcircle
+ * @property {Uint8Array} status - {@link batchStatus} of every row, values of rows without solution are NaN
+ */
+
+/**
+ * Uses the given output arrays and allocates the missing ones.
+ * @param {?Object} output
+ * @param {number} rows
+ * @returns {batchOutput}
+ */
+function prepareOutput(output, rows) {
+    const prepared = output ?? {};
+    for (const name of outputNames) {
+        prepared[name] ??= new Float64Array(rows);
+    }
+    prepared.status ??= new Uint8Array(rows);
+    for (const name of [...outputNames, "status"]) {
+        if (prepared[name].length < rows) {
+            throw new RangeError(`Output array "${name}" has length ${prepared[name].length}, ${rows} rows are required`);
+        }
+    }
+    return prepared;
+}
+
+/**
+ * Writes the solved values of a row, or NaN for rows without solution.
+ * @param {batchOutput} output
+ * @param {number} row
+ * @param {batchStatus} status
+ * @param {number} angleFactor Factor to convert radians into the output mode
+ */
+function writeRow(output, row, status, angleFactor) {
+    output.status[row] = status;
+    if (status !== batchStatus.OK && status !== batchStatus.TWO_SOLUTIONS) {
+        for (let i = 0; i < outputNames.length; i++) {
+            output[outputNames[i]][row] = NaN;
+        }
+        return;
+    }
+    const a = values[0];
+    const b = values[2];
+    const c = values[4];
+    const area = triangleArea(a, b, c);
+    output.a[row] = a;
+    output.b[row] = b;
+    output.c[row] = c;
+    output.alpha[row] = values[3] * angleFactor;
+    output.beta[row] = values[5] * angleFactor;
+    output.gamma[row] = values[1] * angleFactor;
+    output.area[row] = area;
+    output.inradius[row] = 2 * area / (a + b + c);
+    output.circumradius[row] = a * b * c / (4 * area);
+}
+
+/**
+ * Calculates the angles from three side lengths in values.
+ * The angle opposite of the longest side follows from the angle sum, like in solve.
+ * @returns {boolean} false if the side lengths violate the triangle inequality
+ */
+function anglesFromSides() {
+    let longest = 4;
+    for (let i = 0; i < 6; i += 2) {
+        if (values[i] >= values[(i + 2) % 6] + values[(i + 4) % 6]) {
+            return false;
+        }
+        if (values[i] > values[longest]) {
+            longest = i;
+        }
+    }
+    for (let i = 0; i < 6; i += 2) {
+        if (i !== longest) {
+            values[(i + 3) % 6] = angleFromSides(values[i], values[(i + 2) % 6], values[(i + 4) % 6]);
+        }
+    }
+    values[(longest + 3) % 6] = Math.PI - values[(longest + 5) % 6] - values[(longest + 1) % 6];
+    return true;
+}
+
+/**
+ * Solves the row in values in place.
+ * Strategy is the same as in solve: three sides, two angles and a side, two sides and the included angle, two sides and another angle.
+ * @param {number} sides Number of given side lengths
+ * @param {number} angles Number of given angles
+ * @returns {batchStatus}
+ */
+function solveRow(sides, angles) {
+    if (sides === 3) {
+        return anglesFromSides() ? batchStatus.OK : batchStatus.NO_SOLUTION;
+    }
+    if (angles >= 2 && sides >= 1) {
+        /* Third angle from the angle sum, a given third angle is checked for consistency afterwards */
+        let missing = 5;
+        for (let i = 1; i < 6; i += 2) {
+            if (Number.isNaN(values[i])) {
+                missing = i;
+            }
+        }
+        values[missing] = Math.PI - values[(missing + 2) % 6] - values[(missing + 4) % 6];
+        if (values[1] <= 0 || values[3] <= 0 || values[5] <= 0) {
+            return batchStatus.NO_SOLUTION;
+        }
+        let known = 0;
+        while (Number.isNaN(values[known])) {
+            known += 2;
+        }
+        /* Law of sines */
+        const ratio = values[known] / Math.sin(values[(known + 3) % 6]);
+        for (let i = 0; i < 6; i += 2) {
+            if (i !== known) {
+                values[i] = ratio * Math.sin(values[(i + 3) % 6]);
+            }
+        }
+        return batchStatus.OK;
+    }
+    if (sides === 2 && angles === 1) {
+        let missing = 0;
+        while (!Number.isNaN(values[missing])) {
+            missing += 2;
+        }
+        const p = values[(missing + 2) % 6];
+        const q = values[(missing + 4) % 6];
+        if (!Number.isNaN(values[(missing + 3) % 6])) {
+            /* Law of cosines for the included angle */
+            values[missing] = Math.sqrt((p - q) * (p - q) + 4 * p * q * Math.sin(values[(missing + 3) % 6] / 2) ** 2);
+            return anglesFromSides() ? batchStatus.OK : batchStatus.NO_SOLUTION;
+        }
+        /* Ambiguous case: angle at index known is opposite of the side at (known + 3) % 6 */
+        let known = 1;
+        while (Number.isNaN(values[known])) {
+            known += 2;
+        }
+        const opposite = (known + 3) % 6;
+        const other = opposite === (missing + 2) % 6 ? (missing + 4) % 6 : (missing + 2) % 6;
+        const sine = values[other] * Math.sin(values[known]) / values[opposite];
+        if (sine > 1 + 1e-12) {
+            return batchStatus.NO_SOLUTION;
+        }
+        /* Acute solution first, the obtuse one exists if its angle is larger than the given one */
+        const angle = Math.asin(Math.min(1, sine));
+        const two = values[other] > values[opposite] && sine < 1 - 1e-12 && angle > values[known];
+        values[(other + 3) % 6] = angle;
+        values[(missing + 3) % 6] = Math.PI - values[known] - angle;
+        if (values[(missing + 3) % 6] <= 0) {
+            return batchStatus.NO_SOLUTION;
+        }
+        values[missing] = values[opposite] * Math.sin(values[(missing + 3) % 6]) / Math.sin(values[known]);
+        return two ? batchStatus.TWO_SOLUTIONS : batchStatus.OK;
+    }
+    return batchStatus.TOO_FEW_PARAMETERS;
+}
+
+/**
+ * Solves many triangles given as struct of arrays, one array per parameter.
+ * Missing arrays and NaN entries are unknown values, every row needs at least three side lengths or angles including one side length.
+ * No Objects are created per row, so millions of rows can be solved quickly. Output arrays can be reused for several batches.
+ * Rows with two solutions (SSA) get the status TWO_SOLUTIONS and the solution with the acute angle opposite of the longer given side, use {@link solve} to get both.
+ * @example
+ * const out = solveBatch({a: new Float64Array([3, 1]), b: new Float64Array([4, 1]), c: new Float64Array([5, 5])});
+ * out.gamma[0] == 90; out.status[1] == batchStatus.NO_SOLUTION;
+ * @param {Object} input Float64Arrays (or other Arrays of numbers) of equal length named a, b, c, alpha, beta and gamma
+ * @param {Object} [options]
+ * @param {string} [options.mode="deg"] Angle mode of the input: "deg", "rad", "grad" or "turn"
+ * @param {string} [options.outputMode=mode] Angle mode of the output
+ * @param {Object} [options.output] Preallocated output arrays, missing arrays are created
+ * @returns {batchOutput}
+ * @throws {RangeError} If the input arrays have different lengths or output arrays are too short
+ */
+export function solveBatch(input, { mode = "deg", outputMode = mode, output } = {}) {
+    const columns = order.map(name => { return input[name] });
+    const rows = Math.max(0, ...columns.map(column => { return column ? column.length : 0 }));
+    columns.forEach((column, i) => {
+        if (column && column.length !== rows) {
+            throw new RangeError(`Input array "${order[i]}" has length ${column.length}, expected ${rows}`);
+        }
+    });
+    const result = prepareOutput(output, rows);
+    if (!(mode in angleUnits) || !(outputMode in angleUnits)) {
+        for (let row = 0; row < rows; row++) {
+            writeRow(result, row, batchStatus.UNKNOWN_MODE, 1);
+        }
+        return result;
+    }
+    const modeInConv = 1 / angleUnits[mode];
+    const angleFactor = angleUnits[outputMode];
+
+    for (let row = 0; row < rows; row++) {
+        let sides = 0;
+        let angles = 0;
+        let illegal = false;
+        for (let i = 0; i < 6; i++) {
+            const value = columns[i] ? columns[i][row] : NaN;
+            if (Number.isNaN(value)) {
+                values[i] = NaN;
+            } else if (i % 2 === 0) {
+                illegal ||= !(value > 0 && value < Infinity);
+                values[i] = value;
+                sides++;
+            } else {
+                values[i] = value * modeInConv;
+                illegal ||= !(values[i] > 0 && values[i] < Math.PI);
+                angles++;
+            }
+            given[i] = values[i];
+        }
+        if (illegal) {
+            writeRow(result, row, batchStatus.ILLEGAL_VALUE, angleFactor);
+            continue;
+        }
+        const status = solveRow(sides, angles);
+        /* Values beyond the three used ones have to match the solution */
+        let consistent = true;
+        if (sides + angles > 3 && status === batchStatus.OK) {
+            for (let i = 0; i < 6; i++) {
+                const scale = i % 2 === 0 ? 1 : angleUnits[mode];
+                consistent &&= Number.isNaN(given[i]) || Math.abs(given[i] - values[i]) * scale <= maxDifference;
+            }
+        }
+        writeRow(result, row, consistent ? status : batchStatus.INCONSISTENT_INPUT, angleFactor);
+    }
+    return result;
+}
+
+/**
+ * Solves many triangles given by their vertices in one flat coordinate buffer.
+ * Every row consists of the coordinates of A, B and C: [Ax, Ay, Bx, By, Cx, Cy, ...] in 2D, with z values in 3D.
+ * Side a is opposite of A, i.e. the distance of B and C. Angles are calculated with atan2, which is accurate for very flat triangles.
+ * @example
+ * const out = solvePointsBatch(new Float64Array([0, 0, 4, 0, 0, 3]));
+ * out.alpha[0] == 90;
+ * @param {Float64Array} coordinates Length must be a multiple of 3 * dimension
+ * @param {Object} [options]
+ * @param {number} [options.dimension=2] 2 or 3
+ * @param {string} [options.mode="deg"] Angle mode of the output: "deg", "rad", "grad" or "turn"
+ * @param {Object} [options.output] Preallocated output arrays, missing arrays are created
+ * @returns {batchOutput}
+ * @throws {RangeError} If dimension isn't 2 or 3, the buffer length doesn't fit or output arrays are too short
+ */
+export function solvePointsBatch(coordinates, { dimension = 2, mode = "deg", output } = {}) {
+    if (dimension !== 2 && dimension !== 3) {
+        throw new RangeError(`Illegal dimension: ${dimension} - Must be 2 or 3`);
+    }
+    const stride = 3 * dimension;
+    if (coordinates.length % stride !== 0) {
+        throw new RangeError(`Coordinate buffer has length ${coordinates.length}, must be a multiple of ${stride}`);
+    }
+    const rows = coordinates.length / stride;
+    const result = prepareOutput(output, rows);
+    if (!(mode in angleUnits)) {
+        for (let row = 0; row < rows; row++) {
+            writeRow(result, row, batchStatus.UNKNOWN_MODE, 1);
+        }
+        return result;
+    }
+    const angleFactor = angleUnits[mode];
+
+    for (let row = 0; row < rows; row++) {
+        const base = row * stride;
+        let illegal = false;
+        for (let i = base; i < base + stride; i++) {
+            illegal ||= !Number.isFinite(coordinates[i]);
+        }
+        if (illegal) {
+            writeRow(result, row, batchStatus.ILLEGAL_VALUE, angleFactor);
+            continue;
+        }
+        /* Edge vectors AB, BC, CA, z is 0 in 2D */
+        const b = base + dimension;
+        const c = base + 2 * dimension;
+        const abx = coordinates[b] - coordinates[base];
+        const aby = coordinates[b + 1] - coordinates[base + 1];
+        const abz = dimension === 3 ? coordinates[b + 2] - coordinates[base + 2] : 0;
+        const bcx = coordinates[c] - coordinates[b];
+        const bcy = coordinates[c + 1] - coordinates[b + 1];
+        const bcz = dimension === 3 ? coordinates[c + 2] - coordinates[b + 2] : 0;
+        const cax = coordinates[base] - coordinates[c];
+        const cay = coordinates[base + 1] - coordinates[c + 1];
+        const caz = dimension === 3 ? coordinates[base + 2] - coordinates[c + 2] : 0;
+        values[0] = Math.hypot(bcx, bcy, bcz);
+        values[2] = Math.hypot(cax, cay, caz);
+        values[4] = Math.hypot(abx, aby, abz);
+        if (values[0] === 0 || values[2] === 0 || values[4] === 0) {
+            writeRow(result, row, batchStatus.REPEATED_COORDINATES, angleFactor);
+            continue;
+        }
+        /* Twice the area is the length of the cross product, the same for every pair of edges */
+        const cross = Math.hypot(aby * caz - abz * cay, abz * cax - abx * caz, abx * cay - aby * cax);
+        /* Exact test for collinear Points, in space on all three coordinate planes */
+        const ax = coordinates[base];
+        const ay = coordinates[base + 1];
+        const az = dimension === 3 ? coordinates[base + 2] : 0;
+        if (cross === 0 || (orient2d(ax, ay, coordinates[b], coordinates[b + 1], coordinates[c], coordinates[c + 1]) === 0
+            && (dimension === 2 || (orient2d(ay, az, coordinates[b + 1], coordinates[b + 2], coordinates[c + 1], coordinates[c + 2]) === 0
+                && orient2d(az, ax, coordinates[b + 2], coordinates[b], coordinates[c + 2], coordinates[c]) === 0)))) {
+            writeRow(result, row, batchStatus.NO_SOLUTION, angleFactor);
+            continue;
+        }
+        /* Angle between the edges leaving a vertex: atan2(|u × v|, u · v) */
+        values[3] = Math.atan2(cross, -(abx * cax + aby * cay + abz * caz));
+        values[5] = Math.atan2(cross, -(bcx * abx + bcy * aby + bcz * abz));
+        values[1] = Math.atan2(cross, -(cax * bcx + cay * bcy + caz * bcz));
+        writeRow(result, row, batchStatus.OK, angleFactor);
+    }
+    return result;
+}
@@ -0,0 +1,77 @@
+/**
+ * @author Michael Meigel
+ *
+ * Triangle centers by their index in Clark Kimberling's Encyclopedia of Triangle Centers (ETC).
+ */
+
+import { barycentricToCartesian } from "./barycentric.js";
+import { triangleArea } from "./robust.js";
+
+/*
+Barycentric coordinates of the first vertex as function of the side lengths a, b, c and the area,
+the others follow by cyclic permutation (b, c, a) and (c, a, b).
+*/
+const centers = [
+    { index: 1, name: "incenter", weight: (a) => { return a } },
+    { index: 2, name: "centroid", weight: () => { return 1 } },
+    { index: 3, name: "circumcenter", weight: (a, b, c) => { return a * a * (b * b + c * c - a * a) } },
+    { index: 4, name: "orthocenter", weight: (a, b, c) => { return (a * a + b * b - c * c) * (a * a - b * b + c * c) } },
+    { index: 5, name: "nine-point center", weight: (a, b, c) => { return a * a * (b * b + c * c) - (b * b - c * c) ** 2 } },
+    { index: 6, name: "symmedian point", weight: (a) => { return a * a } },
+    { index: 7, name: "Gergonne point", weight: (a, b, c) => { return (a - b + c) * (a + b - c) } },
+    { index: 8, name: "Nagel point", weight: (a, b, c) => { return b + c - a } },
+    { index: 10, name: "Spieker center", weight: (a, b, c) => { return b + c } },
+    { index: 13, name: "Fermat point", weight: (a, b, c, area) => { return a ** 4 - 2 * (b * b - c * c) ** 2 + a * a * (b * b + c * c + 4 * Math.sqrt(3) * area) } },
+    { index: 20, name: "de Longchamps point", weight: (a, b, c) => { return 3 * a ** 4 - 2 * a * a * (b * b + c * c) - (b * b - c * c) ** 2 } }
+];
+
+/**
+ * Triangle center.
+ * @typedef {Object} triangleCenter
+ * @property {number} index - Kimberling index, e.g. 6 for X(6)
+ * @property {string} name - Common name, e.g. "symmedian point"
+ * @property {Array.number} barycentric - Normalized barycentric coordinates, the weights of A, B and C with a sum of 1
+ * @property {Point} [point] - Cartesian coordinates, only for triangles with coordinates
+ */
+
+/**
+ * Calculates triangle centers by their Kimberling index: X(1) incenter, X(2) centroid, X(3) circumcenter, X(4) orthocenter,
+ * X(5) nine-point center, X(6) symmedian (Lemoine) point, X(7) Gergonne point, X(8) Nagel point, X(10) Spieker center,
+ * X(13) Fermat point and X(20) de Longchamps point.
+ * All centers are calculated from their barycentric coordinates, so they are consistent with each other.
+ * X(13) is the first isogonic center. It only minimizes the sum of the distances to the vertices if all angles are less than 120 degrees,
+ * otherwise the vertex of the obtuse angle does.
+ * @example
+ * triangleCenters(solvePoints([0, 0], [4, 0], [0, 3])).X6.point == {x:0.72, y:0.96}
+ * @param {triangleSolution|solveResult} triangle - Solution of {@link solve} for barycentric coordinates only, or result of {@link solvePoints} or {@link placeSolution}
+ * @returns {?Object.<string, triangleCenter>} Centers by their name in ETC: X1, X2, ... null if the triangle is invalid.
+ * Centers at infinity (e.g. the circumcenter of a degenerate triangle) have no coordinates and are left out.
+ */
+export function triangleCenters(triangle) {
+    if (typeof triangle !== "object" || triangle === null) {
+        return null;
+    }
+    const withCoordinates = Array.isArray(triangle.solutions);
+    const solution = withCoordinates ? triangle.solutions[0] : triangle;
+    const sides = [solution?.a, solution?.b, solution?.c].map(Number);
+    const [a, b, c] = sides;
+    const area = triangleArea(a, b, c);
+    if (!(area > 0)) {
+        return null;
+    }
+
+    const result = {};
+    for (const { index, name, weight } of centers) {
+        const weights = [weight(a, b, c, area), weight(b, c, a, area), weight(c, a, b, area)];
+        const sum = weights[0] + weights[1] + weights[2];
+        if (!(Math.abs(sum) > 0) || !Number.isFinite(sum)) {
+            continue;
+        }
+        const center = { index, name, barycentric: weights.map(w => { return w / sum }) };
+        if (withCoordinates) {
+            center.point = barycentricToCartesian(triangle, weights);
+        }
+        result[`X${index}`] = center;
+    }
+    return result;
+}
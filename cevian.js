@@ -0,0 +1,143 @@
+/**
+ * @author Michael Meigel
+ *
+ * Cevians: line segments from a vertex to a point on the opposite side.
+ */
+
+import { solve, solvePoints } from "./index.js";
+import { addError, errorCodes } from "./errors.js";
+import { checkMode } from "./angles.js";
+import { readPoint } from "./points.js";
+
+/* Vertex of a cevian, the following vertex and the previous vertex, the side lengths VN, VP and NP */
+const vertexOrder = {
+    A: { next: "B", previous: "C", sides: ["c", "b", "a"] },
+    B: { next: "C", previous: "A", sides: ["a", "c", "b"] },
+    C: { next: "A", previous: "B", sides: ["b", "a", "c"] }
+};
+/* Maximum distance of a given foot point from the opposite side, relative to the side length */
+const maxDistance = 1e-6;
+
+/**
+ * Solution of a cevian.
+ * @typedef {Object} cevianSolution
+ * @property {number} length - Length of the cevian from the vertex to the foot
+ * @property {number} ratio - Position of the foot on the opposite side, distance from the following vertex / side length
+ * @property {Point} [foot] - Foot on the opposite side, only if the triangle has coordinates
+ * @property {Array.number} vertexAngles - Angles between the cevian and the two adjacent sides, first towards the following vertex
+ * @property {Array.number} footAngles - Angles between the cevian and the opposite side, first towards the following vertex
+ * @property {Array.triangleSolution} triangles - Both sub-triangles (vertex, following vertex, foot) and (vertex, foot, previous vertex)
+ */
+
+/**
+ * Solves a cevian from a vertex to a point on the opposite side and both sub-triangles.
+ * The foot is given by a ratio or, for triangles with coordinates, by a point. The ratio is measured from the following vertex:
+ * for vertex A the foot D on side a is at BD / BC = ratio, for B on side b at CD / CA, for C on side c at AD / AB.
+ * The sub-triangles are (A, B, D) and (A, D, C) for vertex A and cyclic for B and C. Their side lengths are named by their vertex order,
+ * so alpha is always the angle at the vertex of the cevian.
+ * @example
+ * let median = solveCevian(solve({a:3, b:4, c:5}).solutions[0], {vertex:"C", ratio:0.5});
+ * let cevian = solveCevian(solvePoints([0, 0], [4, 0], [0, 3]), {vertex:"A", point:[2, 1.5]});
+ * @param {triangleSolution|solveResult} triangle - Solution of {@link solve}, or result of {@link solvePoints} or {@link placeSolution} for coordinates
+ * @param {Object} options
+ * @param {string} [options.vertex="A"] - Vertex of the cevian: "A", "B" or "C"
+ * @param {number} [options.ratio] - Position of the foot, 0 < ratio < 1
+ * @param {Point} [options.point] - Foot on the opposite side, only for triangles with coordinates
+ * @param {string} [options.mode="deg"] - Angle unit of the calculated angles: "deg", "rad", "grad" or "turn"
+ * @returns {{solutions: Array.cevianSolution, error: ?string}} - Additionally contains the parameters
+ */
+export function solveCevian(triangle, { vertex = "A", ratio, point, mode = "deg" } = {}) {
+    const result = { triangle, vertex, ratio, point, mode, solutions: [] };
+    for (const key of ["ratio", "point"]) {
+        if (result[key] === undefined) {
+            delete result[key];
+        }
+    }
+    checkMode(result, mode);
+    if (!(vertex in vertexOrder)) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: vertex = ${JSON.stringify(vertex)} - Must be "A", "B" or "C"`, ["vertex"]);
+    }
+
+    /* Results of solvePoints have coordinates, solutions of solve only side lengths */
+    const withCoordinates = typeof triangle === "object" && triangle !== null && Array.isArray(triangle.solutions);
+    const solution = withCoordinates ? triangle.solutions[0] : triangle;
+    const vertices = withCoordinates ? ["A", "B", "C"].map(name => { return readPoint(triangle[name]) }) : null;
+    if (typeof solution !== "object" || solution === null || ["a", "b", "c"].some(side => { return !(Number(solution[side]) > 0) })
+        || (withCoordinates && vertices.includes(null))) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: triangle - Must be a solution of solve() or a result of solvePoints().`, ["triangle"]);
+    }
+
+    if (ratio === undefined && point === undefined) {
+        addError(result, errorCodes.TOO_FEW_PARAMETERS, `Unsolvable: ratio or point of the foot must be given.`, []);
+    } else if (ratio !== undefined && point !== undefined) {
+        addError(result, errorCodes.INCONSISTENT_INPUT, `Only one of ratio and point can be given.`, ["ratio", "point"]);
+    } else if (ratio !== undefined && !(Number(ratio) > 0 && Number(ratio) < 1)) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ratio = ${JSON.stringify(ratio)} - Must be a number between 0 and 1`, ["ratio"]);
+    } else if (point !== undefined && !withCoordinates) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: point - Needs a triangle with coordinates, use the result of solvePoints().`, ["point"]);
+    } else if (point !== undefined && readPoint(point) === null) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: point: ${JSON.stringify(point)} - Must be [x,y], {x,y}, {X,Y} or [x,y,z], {x,y,z}, {X,Y,Z}.`, ["point"]);
+    }
+    if (result.errors) {
+        return result;
+    }
+
+    const { next, previous, sides } = vertexOrder[vertex];
+    const [n, p, m] = sides.map(side => { return Number(solution[side]) });
+    let t = Number(ratio);
+    let foot;
+    if (withCoordinates) {
+        const given = point === undefined ? null : readPoint(point);
+        /* Three-dimensional if one of the Points is, missing z coordinates are 0 */
+        const dimension = Math.max(...[...vertices, given ?? []].map(v => { return v.length }));
+        const pad = (v) => { return [0, 1, 2].slice(0, dimension).map(i => { return v[i] ?? 0 }) };
+        const [V, N, P] = [vertex, next, previous].map(name => { return pad(vertices["ABC".indexOf(name)]) });
+        const side = P.map((x, i) => { return x - N[i] });
+        if (given) {
+            /* Project the point onto the opposite side */
+            const D = pad(given);
+            t = side.reduce((s, x, i) => { return s + (D[i] - N[i]) * x }, 0) / (m * m);
+            const offset = Math.hypot(...side.map((x, i) => { return D[i] - N[i] - t * x }));
+            if (offset > maxDistance * m || !(t > 0 && t < 1)) {
+                return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: point ${JSON.stringify(point)} is not inside side ${sides[2]}.`, ["point"]);
+            }
+        }
+        const D = side.map((x, i) => { return N[i] + t * x });
+        foot = Object.fromEntries(D.map((x, i) => { return ["xyz"[i], x] }));
+        result.solutions.push(cevianFromTriangles(solvePoints(V, N, D, mode), solvePoints(V, D, P, mode), t, foot));
+    } else {
+        /* Stewart's theorem */
+        const d = Math.sqrt((1 - t) * n * n + t * p * p - t * (1 - t) * m * m);
+        result.solutions.push(cevianFromTriangles(
+            solve({ a: t * m, b: d, c: n, mode }),
+            solve({ a: (1 - t) * m, b: p, c: d, mode }), t));
+    }
+    if (result.solutions[0] === null) {
+        result.solutions = [];
+        return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, ["triangle"]);
+    }
+    return result;
+}
+
+/**
+ * Combines the sub-triangles of a cevian, the cevian is side b of the first and side c of the second triangle.
+ * @param {solveResult} first - Triangle (vertex, following vertex, foot)
+ * @param {solveResult} second - Triangle (vertex, foot, previous vertex)
+ * @param {number} ratio
+ * @param {Point} [foot]
+ * @returns {?cevianSolution} null if a sub-triangle has no solution
+ */
+function cevianFromTriangles(first, second, ratio, foot) {
+    if (first.solutions.length === 0 || second.solutions.length === 0) {
+        return null;
+    }
+    const [s1, s2] = [first.solutions[0], second.solutions[0]];
+    const cevian = { length: s1.b, ratio };
+    if (foot) {
+        cevian.foot = foot;
+    }
+    cevian.vertexAngles = [s1.alpha, s2.alpha];
+    cevian.footAngles = [s1.gamma, s2.beta];
+    cevian.triangles = [s1, s2];
+    return cevian;
+}
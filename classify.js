@@ -0,0 +1,102 @@
+/**
+ * @author Michael Meigel
+ *
+ * Classification of solved triangles and shape metrics for mesh quality.
+ */
+
+import { angleUnits } from "./angles.js";
+import { triangleArea } from "./robust.js";
+
+/**
+ * Classification and shape metrics of a triangle.
+ * @typedef {Object} triangleClassification
+ * @property {string} angleType - "acute", "right" or "obtuse"
+ * @property {string} sideType - "scalene", "isosceles" or "equilateral"
+ * @property {number} aspectRatio - Longest side / (2 * sqrt(3) * inradius), 1 for equilateral triangles and larger for all others
+ * @property {number} minAngle - Smallest angle, in the angle mode of the solution
+ * @property {number} radiusRatio - Inradius / circumradius, 0.5 for equilateral triangles and smaller for all others
+ * @property {number} radiusEdgeRatio - Circumradius / shortest side, 1/sqrt(3) for equilateral triangles and larger for all others
+ */
+
+/**
+ * Metrics to rank triangles by, true if larger values are better.
+ * @readonly
+ */
+const qualityMetrics = Object.freeze({
+    radiusRatio: true,
+    minAngle: true,
+    aspectRatio: false,
+    radiusEdgeRatio: false
+});
+
+/**
+ * Classifies a solved triangle by angles and sides and calculates shape metrics.
+ * Angles are compared to a right angle with an absolute tolerance, side lengths with a tolerance relative to the longer side.
+ * @example
+ * classifyTriangle(solve({a:3, b:4, c:5}).solutions[0]).angleType == "right"
+ * @param {triangleSolution} solution - Solution of {@link solve} or {@link solvePoints}
+ * @param {Object} [options]
+ * @param {string} [options.mode="deg"] - Angle unit of the solution: "deg", "rad", "grad" or "turn"
+ * @param {number} [options.angleTolerance] - Maximum difference of a right angle, in the angle mode. Default is 1e-9 radians.
+ * @param {number} [options.sideTolerance=1e-9] - Maximum relative difference of equal side lengths
+ * @returns {?triangleClassification} null if the solution is no valid triangle or the mode is unknown
+ */
+export function classifyTriangle(solution, { mode = "deg", angleTolerance, sideTolerance = 1e-9 } = {}) {
+    if (typeof solution !== "object" || solution === null || !(mode in angleUnits)) {
+        return null;
+    }
+    const sides = [solution.a, solution.b, solution.c].map(Number);
+    if (!sides.every(x => { return x > 0 && x < Infinity })) {
+        return null;
+    }
+    const angles = [solution.alpha, solution.beta, solution.gamma].map(Number);
+    const [a, b, c] = sides;
+    const area = triangleArea(a, b, c);
+    if (!(area > 0) || !angles.every(Number.isFinite)) {
+        return null;
+    }
+    const inradius = 2 * area / (a + b + c);
+    const circumradius = a * b * c / (4 * area);
+
+    const toMode = angleUnits[mode];
+    const rightAngle = toMode * Math.PI / 2;
+    angleTolerance ??= toMode * 1e-9;
+
+    const largestAngle = Math.max(...angles);
+    const angleType = Math.abs(largestAngle - rightAngle) <= angleTolerance ? "right" : largestAngle > rightAngle ? "obtuse" : "acute";
+
+    const equal = (x, y) => { return Math.abs(x - y) <= sideTolerance * Math.max(x, y) };
+    const equalPairs = [[0, 1], [1, 2], [2, 0]].filter(([i, j]) => { return equal(sides[i], sides[j]) }).length;
+    const sideType = equalPairs === 3 ? "equilateral" : equalPairs > 0 ? "isosceles" : "scalene";
+
+    return {
+        angleType,
+        sideType,
+        aspectRatio: Math.max(a, b, c) / (2 * Math.sqrt(3) * inradius),
+        minAngle: Math.min(...angles),
+        radiusRatio: inradius / circumradius,
+        radiusEdgeRatio: circumradius / Math.min(a, b, c)
+    };
+}
+
+/**
+ * Sorts solutions by a quality metric of their classification, best triangles first.
+ * Solutions without classification are classified with the default tolerances. The given Array is not changed.
+ * @example
+ * const [best] = rankByQuality(meshFaces.map(face => solvePoints(...face).solutions[0]));
+ * @param {Array.triangleSolution} solutions
+ * @param {Object} [options]
+ * @param {string} [options.metric="radiusRatio"] - "radiusRatio", "minAngle", "aspectRatio" or "radiusEdgeRatio"
+ * @returns {?Array.triangleSolution} Sorted copy, solutions without valid metric last. null if the metric is unknown
+ */
+export function rankByQuality(solutions, { metric = "radiusRatio" } = {}) {
+    if (!(metric in qualityMetrics) || !Array.isArray(solutions)) {
+        return null;
+    }
+    const sign = qualityMetrics[metric] ? -1 : 1;
+    const keys = solutions.map(solution => {
+        const value = (solution?.classification ?? classifyTriangle(solution))?.[metric];
+        return Number.isFinite(value) ? sign * value : Infinity;
+    });
+    return solutions.map((solution, i) => { return i }).sort((i, j) => { return keys[i] - keys[j] || i - j }).map(i => { return solutions[i] });
+}
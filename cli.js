@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * @author Michael Meigel
+ *
+ * Command-line interface of solve() and solvePoints().
+ * Exit code is 0 if all triangles could be solved, 1 if a result has an error and 2 for wrong usage.
+ */
+
+import { createInterface } from "readline";
+import { solve, solvePoints, roundToPrecision } from "./index.js";
+import { addError, errorCodes } from "./errors.js";
+
+/* Parameters of solve, radii of incircle and circumcircle are given as numbers */
+const triangleParameters = ["a", "b", "c", "alpha", "beta", "gamma", "area", "perimeter", "ha", "hb", "hc", "ma", "mb", "mc", "incircle", "circumcircle"];
+/* Columns of table and CSV output */
+const columns = ["a", "b", "c", "alpha", "beta", "gamma", "area", "perimeter"];
+const formats = ["table", "json", "csv"];
+
+const usage = `Usage: solve-triangle [options]
+
+Solves a triangle for named parameters or three points and prints the solutions.
+Without triangle parameters, newline-delimited JSON jobs are read from stdin, e.g.
+{"a": 3, "b": 4, "gamma": 90} or {"points": [[0, 0], [1, 2], [3, -1]]}
+
+Triangle parameters:
+  --a, --b, --c                 Side lengths
+  --alpha, --beta, --gamma      Angles, also as DMS strings like 30°15'
+  --area, --perimeter           Area and perimeter
+  --ha, --hb, --hc              Altitudes
+  --ma, --mb, --mc              Medians
+  --incircle, --circumcircle    Radii of incircle and circumcircle
+  --points "0,0 1,2 3,-1"       Three points, 2D or 3D, separated by spaces
+
+Options:
+  --mode <mode>                 Angle mode of input and output: deg (default), rad, grad or turn
+  --output-mode <mode>          Angle mode of the output, default is --mode, not for points
+  --format <format>             Output format: table (default), json or csv
+  --precision <digits>          Decimal places in table and CSV output, default 4
+  --help                        Shows this help`;
+
+/**
+ * Error in the command-line arguments.
+ */
+class UsageError extends Error { }
+
+/**
+ * Reads the command-line arguments.
+ * @param {Array.string} args Arguments without node and script path
+ * @returns {{parameters: Object, points: ?string, mode: ?string, outputMode: ?string, format: string, precision: number, help: boolean}}
+ */
+function parseArguments(args) {
+    const options = { parameters: {}, points: null, mode: null, outputMode: null, format: "table", precision: 4, help: false };
+    for (let i = 0; i < args.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(args[i]);
+        if (!match) {
+            throw new UsageError(`Unexpected argument: ${args[i]}`);
+        }
+        const name = match[1];
+        if (name === "help") {
+            options.help = true;
+            continue;
+        }
+        let value = match[2];
+        if (value === undefined) {
+            /* Values may be negative numbers, only options are excluded */
+            if (i + 1 >= args.length || /^--\D/.test(args[i + 1])) {
+                throw new UsageError(`Missing value of --${name}`);
+            }
+            value = args[++i];
+        }
+        if (triangleParameters.includes(name)) {
+            options.parameters[name] = value;
+        } else if (name === "points") {
+            options.points = value;
+        } else if (name === "mode") {
+            options.mode = value;
+        } else if (name === "output-mode") {
+            options.outputMode = value;
+        } else if (name === "format") {
+            if (!formats.includes(value)) {
+                throw new UsageError(`Unknown format: ${value} - Must be "table", "json" or "csv"`);
+            }
+            options.format = value;
+        } else if (name === "precision") {
+            options.precision = Number(value);
+            if (!Number.isInteger(options.precision) || options.precision < 0) {
+                throw new UsageError(`Illegal precision: ${value} - Must be an integer >= 0`);
+            }
+        } else {
+            throw new UsageError(`Unknown option: --${name}`);
+        }
+    }
+    if (options.points !== null && Object.keys(options.parameters).length > 0) {
+        throw new UsageError("--points can't be combined with side lengths or angles");
+    }
+    return options;
+}
+
+/**
+ * Reads three points from a string like "0,0 1,2 3,-1".
+ * @param {string} text
+ * @returns {?Array.Array.number} null if the string doesn't contain three points
+ */
+function parsePoints(text) {
+    const points = text.trim().split(/\s+/).map(p => { return p.split(",").map(Number) });
+    return points.length === 3 ? points : null;
+}
+
+/**
+ * Solves one job, either three points or parameters of solve.
+ * Values with tolerances like `{"value": 3, "sigma": 0.1}` and DMS strings are passed on unchanged.
+ * @param {Object} job Parameters of solve, or points as Array or string
+ * @returns {solveResult}
+ */
+function solveJob({ points, mode, outputMode, ...parameters }) {
+    if (points !== undefined) {
+        const parsed = typeof points === "string" ? parsePoints(points) : points;
+        if (!Array.isArray(parsed) || parsed.length !== 3) {
+            return addError({ points, solutions: [] }, errorCodes.ILLEGAL_VALUE, `Illegal value: points = ${JSON.stringify(points)} - Three points are required`, ["points"]);
+        }
+        /* solvePoints has no separate output mode */
+        if (outputMode !== undefined && outputMode !== (mode ?? "deg")) {
+            return addError({ points, outputMode, solutions: [] }, errorCodes.ILLEGAL_VALUE, `Illegal value: outputMode = ${JSON.stringify(outputMode)} - Points are solved in mode only`, ["outputMode"]);
+        }
+        return solvePoints(...parsed, mode);
+    }
+    for (const radius of ["incircle", "circumcircle"]) {
+        if (parameters[radius] !== undefined && typeof parameters[radius] !== "object") {
+            parameters[radius] = { radius: parameters[radius] };
+        }
+    }
+    return solve({ ...parameters, mode, outputMode });
+}
+
+/**
+ * Rows of table and CSV output, one per solution and one with the error.
+ * Solutions which are returned together with an error, e.g. the consistent solution of an over-determined SSA input, are kept.
+ * @param {solveResult} result
+ * @param {number} job Number of the job, 1 for a single triangle
+ * @param {number} precision
+ * @returns {Array.Object}
+ */
+function resultRows(result, job, precision) {
+    const rows = result.solutions.map((solution, i) => {
+        const row = { job, solution: i + 1, error: "" };
+        for (const column of columns) {
+            row[column] = roundToPrecision(solution[column], precision);
+        }
+        return row;
+    });
+    if (result.error !== undefined || rows.length === 0) {
+        rows.push({ job, solution: "", error: result.error ?? "No solution" });
+    }
+    return rows;
+}
+
+/**
+ * Formats rows as aligned text table.
+ * @param {Array.Object} rows
+ * @param {Array.string} names Column names
+ * @returns {string}
+ */
+function formatTable(rows, names) {
+    const cells = [names, ...rows.map(row => { return names.map(name => { return String(row[name] ?? "") }) })];
+    const widths = names.map((_, i) => { return Math.max(...cells.map(line => { return line[i].length })) });
+    return cells.map(line => { return line.map((cell, i) => { return cell.padStart(widths[i]) }).join("  ") }).join("\n");
+}
+
+/**
+ * Quotes a CSV field if necessary.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Prints the results of all jobs in the given format.
+ * Errors are printed to stderr in table format, JSON and CSV keep them in the output.
+ * @param {Array.solveResult} results
+ * @param {Object} options
+ * @param {boolean} batch Results of NDJSON jobs, JSON is printed one result per line
+ */
+function printResults(results, { format, precision }, batch) {
+    if (format === "json") {
+        for (const result of results) {
+            console.log(batch ? JSON.stringify(result) : JSON.stringify(result, null, 2));
+        }
+        return;
+    }
+    const rows = results.flatMap((result, i) => { return resultRows(result, i + 1, precision) });
+    if (format === "csv") {
+        const names = ["job", "solution", ...columns, "error"];
+        console.log([names, ...rows.map(row => { return names.map(name => { return row[name] }) })].map(line => { return line.map(csvField).join(",") }).join("\n"));
+        return;
+    }
+    const names = [...(batch ? ["job"] : []), "solution", ...columns];
+    const solved = rows.filter(row => { return row.error === "" });
+    if (solved.length > 0) {
+        console.log(formatTable(solved, names));
+    }
+    for (const row of rows.filter(r => { return r.error !== "" })) {
+        console.error(batch ? `Job ${row.job}: ${row.error}` : row.error);
+    }
+}
+
+/**
+ * Reads newline-delimited JSON jobs from stdin and solves them.
+ * Lines which aren't JSON Objects give a result with an error, empty lines are skipped.
+ * @param {Object} options Command-line options, mode and output mode are defaults of the jobs
+ * @returns {Promise<Array.solveResult>}
+ */
+async function solveJobLines({ mode, outputMode }) {
+    const results = [];
+    for await (const line of createInterface({ input: process.stdin, crlfDelay: Infinity })) {
+        if (line.trim() === "") {
+            continue;
+        }
+        let job;
+        try {
+            job = JSON.parse(line);
+        } catch (e) {
+            results.push(addError({ solutions: [] }, errorCodes.ILLEGAL_VALUE, `Illegal JSON: ${line}`));
+            continue;
+        }
+        if (typeof job !== "object" || job === null || Array.isArray(job)) {
+            results.push(addError({ solutions: [] }, errorCodes.ILLEGAL_VALUE, `Illegal job: ${line} - Must be a JSON Object`));
+            continue;
+        }
+        results.push(solveJob({ mode: mode ?? undefined, outputMode: outputMode ?? undefined, ...job }));
+    }
+    return results;
+}
+
+/**
+ * Runs the command line interface.
+ * @param {Array.string} args Arguments without node and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (e) {
+        if (!(e instanceof UsageError)) {
+            throw e;
+        }
+        console.error(`${e.message}\n\n${usage}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(usage);
+        return 0;
+    }
+    const single = options.points !== null || Object.keys(options.parameters).length > 0;
+    if (!single && process.stdin.isTTY) {
+        console.error(usage);
+        return 2;
+    }
+    const job = { ...options.parameters, mode: options.mode ?? undefined, outputMode: options.outputMode ?? undefined };
+    if (options.points !== null) {
+        job.points = options.points;
+    }
+    const results = single ? [solveJob(job)] : await solveJobLines(options);
+    printResults(results, options, !single);
+    return results.some(r => { return r.error !== undefined || r.solutions.length === 0 }) ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,155 @@
+/**
+ * @author Michael Meigel
+ *
+ * Congruence, similarity and mirror images of triangles, with the transformation between triangles with coordinates.
+ */
+
+import { addError, errorCodes } from "./errors.js";
+import { angleUnits, checkMode } from "./angles.js";
+import { readPoint } from "./points.js";
+import { orient2d, triangleArea } from "./robust.js";
+
+const vertexNames = ["A", "B", "C"];
+
+/* Vertex correspondences, the first three keep the order of the vertices */
+const permutations = [[0, 1, 2], [1, 2, 0], [2, 0, 1], [0, 2, 1], [2, 1, 0], [1, 0, 2]];
+
+/**
+ * Reads side lengths, orientation and two-dimensional vertices of a triangle.
+ * @param {triangleSolution|solveResult} triangle
+ * @returns {?{sides: Array.number, orientation: number, vertices: ?Array.Array.number}} null if the triangle is invalid.
+ * orientation is 1 for counterclockwise and -1 for clockwise vertices, solutions without two-dimensional coordinates count as counterclockwise.
+ */
+function readTriangle(triangle) {
+    if (typeof triangle !== "object" || triangle === null) {
+        return null;
+    }
+    const solution = Array.isArray(triangle.solutions) ? triangle.solutions[0] : triangle;
+    const sides = [solution?.a, solution?.b, solution?.c].map(Number);
+    if (!(triangleArea(...sides) > 0)) {
+        return null;
+    }
+    const points = vertexNames.map(name => { return readPoint(triangle[name]) });
+    if (!Array.isArray(triangle.solutions) || points.some(p => { return p === null || p.length !== 2 })) {
+        return { sides, orientation: 1, vertices: null };
+    }
+    const [A, B, C] = points;
+    return { sides, orientation: orient2d(A[0], A[1], B[0], B[1], C[0], C[1]) < 0 ? -1 : 1, vertices: points };
+}
+
+/**
+ * Transformation of the plane: reflection at the x-axis (if reflection is true), rotation, scaling and translation.
+ * @typedef {Object} triangleTransform
+ * @property {number} rotation - Counterclockwise rotation, in the angle mode
+ * @property {number} scale - Scale factor, 1 for congruent triangles
+ * @property {boolean} reflection - True if the points are mirrored at the x-axis before the rotation
+ * @property {Point} translation - Translation after rotation and scaling
+ * @property {Array.Array.number} matrix - Linear part as 2x2 matrix, a point p is mapped to matrix * p + translation
+ * @property {number} residual - Largest distance between a mapped vertex of the first triangle and the corresponding vertex of the second
+ */
+
+/**
+ * Fits the transformation mapping points p onto q in the least squares sense, with complex numbers.
+ * Without reflection z -> k * z + t, with reflection z -> k * conj(z) + t.
+ * @param {Array.Array.number} p
+ * @param {Array.Array.number} q
+ * @param {boolean} reflection
+ * @param {boolean} rigid Scale is fixed to 1
+ * @param {string} mode
+ * @returns {triangleTransform}
+ */
+function fitTransform(p, q, reflection, rigid, mode) {
+    const points = p.map(([x, y]) => { return [x, reflection ? -y : y] });
+    const mean = (list) => { return [0, 1].map(i => { return (list[0][i] + list[1][i] + list[2][i]) / 3 }) };
+    const [pm, qm] = [mean(points), mean(q)];
+    /* k = sum(conj(p) * q) / sum(|p|^2) for centered points */
+    let [kr, ki, norm] = [0, 0, 0];
+    for (let i = 0; i < 3; i++) {
+        const [px, py] = [points[i][0] - pm[0], points[i][1] - pm[1]];
+        const [qx, qy] = [q[i][0] - qm[0], q[i][1] - qm[1]];
+        kr += px * qx + py * qy;
+        ki += px * qy - py * qx;
+        norm += px * px + py * py;
+    }
+    const scale = rigid ? 1 : Math.hypot(kr, ki) / norm;
+    const rotation = Math.atan2(ki, kr);
+    [kr, ki] = [scale * Math.cos(rotation), scale * Math.sin(rotation)];
+    const map = ([x, y]) => { return [kr * x - ki * y, ki * x + kr * y] };
+    const [tx, ty] = map(pm).map((x, i) => { return qm[i] - x });
+    const residual = Math.max(...points.map((point, i) => {
+        const [x, y] = map(point);
+        return Math.hypot(x + tx - q[i][0], y + ty - q[i][1]);
+    }));
+    return {
+        rotation: rotation * angleUnits[mode],
+        scale,
+        reflection,
+        translation: { x: tx, y: ty },
+        matrix: reflection ? [[kr, ki], [ki, -kr]] : [[kr, -ki], [ki, kr]],
+        residual
+    };
+}
+
+/**
+ * Result of a comparison of two triangles.
+ * @typedef {Object} triangleComparison
+ * @property {boolean} similar - True if the triangles have the same angles, within the tolerance
+ * @property {boolean} congruent - True if the triangles are similar with a scale of 1, within the tolerance
+ * @property {boolean} mirrored - True if the vertex correspondence reverses the orientation, so the second triangle is a mirror image of the first
+ * @property {number} scale - Ratio of the perimeters, second / first
+ * @property {{A: string, B: string, C: string}} correspondence - Vertex of the second triangle for every vertex of the first
+ * @property {number} deviation - Largest relative difference of the side ratios of corresponding sides
+ * @property {triangleTransform} [transform] - Transformation mapping the first triangle onto the second, only for two-dimensional coordinates
+ */
+
+/**
+ * Compares two triangles: finds the vertex correspondence with the best matching side ratios and checks similarity and congruence.
+ * If a symmetric triangle allows several correspondences, one which keeps the orientation is preferred.
+ * Solutions of {@link solve} and three-dimensional triangles have no orientation in the plane, their vertices A, B, C count as counterclockwise like in {@link placeSolution}.
+ * @example
+ * compareTriangles(solvePoints([0, 0], [4, 0], [0, 3]), solvePoints([0, 0], [0, 8], [6, 0])).correspondence == {A:"A", B:"B", C:"C"}
+ * @param {triangleSolution|solveResult} first - Solution of {@link solve}, or result of {@link solvePoints} or {@link placeSolution}
+ * @param {triangleSolution|solveResult} second - Triangle compared with the first one
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=1e-9] - Maximum relative difference of side ratios and of the scale from 1 for congruence
+ * @param {string} [options.mode="deg"] - Angle unit of the rotation: "deg", "rad", "grad" or "turn"
+ * @returns {triangleComparison|{error: string, errors: Array.solveError}} - If a triangle is invalid or the mode is unknown:
+ * the parameters with the errors like in {@link solve}
+ */
+export function compareTriangles(first, second, { tolerance = 1e-9, mode = "deg" } = {}) {
+    const result = { first, second, tolerance, mode };
+    checkMode(result, mode);
+    const [t1, t2] = [readTriangle(first), readTriangle(second)];
+    for (const [name, t] of [["first", t1], ["second", t2]]) {
+        if (t === null) {
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: ${name} - Must be a solution of solve() or a result of solvePoints().`, [name]);
+        }
+    }
+    if (result.errors) {
+        return result;
+    }
+
+    const candidates = permutations.map((permutation, index) => {
+        const ratios = [0, 1, 2].map(i => { return t2.sides[permutation[i]] / t1.sides[i] });
+        const deviation = (Math.max(...ratios) - Math.min(...ratios)) / Math.max(...ratios);
+        /* Odd permutations reverse the order of the vertices */
+        const mirrored = (index < 3 ? 1 : -1) * t1.orientation * t2.orientation < 0;
+        return { permutation, deviation, mirrored, similar: deviation <= tolerance };
+    });
+    const best = candidates.find(c => { return c.similar && !c.mirrored }) ?? candidates.find(c => { return c.similar })
+        ?? candidates.reduce((x, y) => { return y.deviation < x.deviation ? y : x });
+
+    const scale = (t2.sides[0] + t2.sides[1] + t2.sides[2]) / (t1.sides[0] + t1.sides[1] + t1.sides[2]);
+    const comparison = {
+        similar: best.similar,
+        congruent: best.similar && Math.abs(scale - 1) <= tolerance,
+        mirrored: best.mirrored,
+        scale,
+        correspondence: Object.fromEntries(vertexNames.map((name, i) => { return [name, vertexNames[best.permutation[i]]] })),
+        deviation: best.deviation
+    };
+    if (t1.vertices && t2.vertices) {
+        comparison.transform = fitTransform(t1.vertices, best.permutation.map(i => { return t2.vertices[i] }), best.mirrored, comparison.congruent, mode);
+    }
+    return comparison;
+}
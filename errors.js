@@ -0,0 +1,97 @@
+/**
+ * @author Michael Meigel
+ *
+ * Error codes and helper for the error entries of result Objects.
+ */
+
+/**
+ * Stable codes of structured errors.
+ * @readonly
+ * @enum {string}
+ */
+export const errorCodes = Object.freeze({
+    /* A parameter is not a number, out of range or not a coordinate */
+    ILLEGAL_VALUE: "ILLEGAL_VALUE",
+    /* Not enough parameters to solve the triangle */
+    TOO_FEW_PARAMETERS: "TOO_FEW_PARAMETERS",
+    /* Given parameters contradict each other */
+    INCONSISTENT_INPUT: "INCONSISTENT_INPUT",
+    /* Parameters are valid but no triangle exists */
+    NO_SOLUTION: "NO_SOLUTION",
+    /* Parameters follow from each other, infinitely many triangles are possible */
+    DEPENDENT_PARAMETERS: "DEPENDENT_PARAMETERS",
+    /* Two coordinates are equal */
+    REPEATED_COORDINATES: "REPEATED_COORDINATES",
+    /* Edges of a polygon cross, touch or overlap each other */
+    SELF_INTERSECTION: "SELF_INTERSECTION",
+    /* Unknown angle mode */
+    UNKNOWN_MODE: "UNKNOWN_MODE",
+    /* Warning: the triangle is solved, but it is so flat or thin that small changes of the input change the results a lot */
+    NEAR_DEGENERATE: "NEAR_DEGENERATE",
+    /* Warning: exact values were requested, but the given parameters only allow floating point values */
+    NOT_EXACT: "NOT_EXACT"
+});
+
+/**
+ * Structured error.
+ * @typedef {Object} solveError
+ * @property {errorCodes} code - Stable error code
+ * @property {string} message - English description, the same text as the error string of the result
+ * @property {Array.string} parameters - Names of the parameters involved
+ * @property {Object} values - Values of the parameters involved, by parameter name
+ * @property {Object} [calculated] - Calculated values which differ from the input, only for INCONSISTENT_INPUT
+ */
+
+/**
+ * Looks up the given values of parameters, nested parameters are given as paths like "incircle.radius".
+ * @param {Object} result
+ * @param {Array.string} parameters
+ * @returns {Object} Values by parameter name
+ */
+function parameterValues(result, parameters) {
+    const values = {};
+    for (const parameter of parameters) {
+        values[parameter] = parameter.split(".").reduce((o, key) => { return o === undefined || o === null ? undefined : o[key] }, result);
+    }
+    return values;
+}
+
+/**
+ * Adds a structured error to a result Object.
+ * The message of the first error is also stored in result.error, so existing checks of the error string keep working.
+ * @param {Object} result
+ * @param {errorCodes} code
+ * @param {string} message
+ * @param {Array.string} [parameters=[]] Names of the parameters involved
+ * @param {Object} [extra] Additional properties of the error, e.g. calculated values
+ * @returns {Object} result
+ */
+export function addError(result, code, message, parameters = [], extra = {}) {
+    const values = parameterValues(result, parameters);
+    if (!result.errors) {
+        result.errors = [];
+    }
+    result.errors.push({ code, message, parameters, values, ...extra });
+    if (result.error === undefined) {
+        result.error = message;
+    }
+    return result;
+}
+
+/**
+ * Adds a warning to a result Object. Warnings have the same structure as errors but don't prevent solutions.
+ * @param {Object} result
+ * @param {errorCodes} code
+ * @param {string} message
+ * @param {Array.string} [parameters=[]] Names of the parameters involved
+ * @param {Object} [extra] Additional properties of the warning, e.g. the index of the solution
+ * @returns {Object} result
+ */
+export function addWarning(result, code, message, parameters = [], extra = {}) {
+    const values = parameterValues(result, parameters);
+    if (!result.warnings) {
+        result.warnings = [];
+    }
+    result.warnings.push({ code, message, parameters, values, ...extra });
+    return result;
+}
@@ -0,0 +1,730 @@
+/**
+ * @author Michael Meigel
+ *
+ * Exact arithmetic for solve(): rational inputs are BigInt fractions, results are calculated in the field Q(sqrt(2), sqrt(3)),
+ * which contains the sines and cosines of all multiples of 15 degrees, and square roots of its elements.
+ */
+
+import { addWarning, errorCodes } from "./errors.js";
+import { classifyTriangle } from "./classify.js";
+
+/**
+ * Greatest common divisor.
+ * @param {bigint} x
+ * @param {bigint} y
+ * @returns {bigint} >= 0
+ */
+function gcd(x, y) {
+    x = x < 0n ? -x : x;
+    y = y < 0n ? -y : y;
+    while (y) {
+        [x, y] = [y, x % y];
+    }
+    return x;
+}
+
+/**
+ * Number of bits of the absolute value.
+ * @param {bigint} x
+ * @returns {number}
+ */
+function bitLength(x) {
+    return (x < 0n ? -x : x).toString(2).length;
+}
+
+/**
+ * Integer square root, the largest integer whose square is <= x.
+ * @param {bigint} x >= 0
+ * @returns {bigint}
+ */
+function isqrt(x) {
+    if (x < 2n) {
+        return x;
+    }
+    let y = 1n << BigInt(Math.ceil(bitLength(x) / 2));
+    while (true) {
+        const next = (y + x / y) >> 1n;
+        if (next >= y) {
+            return y;
+        }
+        y = next;
+    }
+}
+
+/* Rational numbers {n, d} with BigInt numerator and positive denominator, always reduced */
+const rational = {
+    make(n, d = 1n) {
+        if (d < 0n) {
+            [n, d] = [-n, -d];
+        }
+        const g = gcd(n, d) || 1n;
+        return { n: n / g, d: d / g };
+    },
+    zero: { n: 0n, d: 1n },
+    one: { n: 1n, d: 1n },
+    add(x, y) { return rational.make(x.n * y.d + y.n * x.d, x.d * y.d) },
+    sub(x, y) { return rational.make(x.n * y.d - y.n * x.d, x.d * y.d) },
+    mul(x, y) { return rational.make(x.n * y.n, x.d * y.d) },
+    neg(x) { return { n: -x.n, d: x.d } },
+    inv(x) { return rational.make(x.d, x.n) },
+    sign(x) { return x.n > 0n ? 1 : x.n < 0n ? -1 : 0 },
+    isZero(x) { return x.n === 0n },
+    equals(x, y) { return x.n === y.n && x.d === y.d },
+    fromRational(x) { return x },
+    /* Square root if it is rational, otherwise null */
+    sqrt(x) {
+        if (x.n < 0n) {
+            return null;
+        }
+        const [n, d] = [isqrt(x.n), isqrt(x.d)];
+        return n * n === x.n && d * d === x.d ? { n, d } : null;
+    },
+    /* Correctly rounded up to one unit in the last place, also for numerators and denominators beyond the range of doubles */
+    toNumber(x) {
+        const shift = bitLength(x.d) - bitLength(x.n) + 64;
+        const quotient = shift >= 0 ? (x.n << BigInt(shift)) / x.d : x.n / (x.d << BigInt(-shift));
+        return Number(quotient) * 2 ** -shift;
+    },
+    /* Terms of the canonical form, here only the rational number itself */
+    terms(x) { return [{ coefficient: x, radicand: 1n }] }
+};
+
+/**
+ * Creates the operations of a quadratic field extension base(sqrt(r)). Elements are pairs [x, y] for x + y * sqrt(r).
+ * @param {Object} base Operations of the base field
+ * @param {bigint} r Square-free integer, its square root must not be in the base field
+ * @returns {Object} Operations of the extension
+ */
+function extension(base, r) {
+    const root = base.fromRational(rational.make(r));
+    const field = {
+        zero: [base.zero, base.zero],
+        one: [base.one, base.zero],
+        add([x1, y1], [x2, y2]) { return [base.add(x1, x2), base.add(y1, y2)] },
+        sub([x1, y1], [x2, y2]) { return [base.sub(x1, x2), base.sub(y1, y2)] },
+        mul([x1, y1], [x2, y2]) { return [base.add(base.mul(x1, x2), base.mul(root, base.mul(y1, y2))), base.add(base.mul(x1, y2), base.mul(x2, y1))] },
+        neg([x, y]) { return [base.neg(x), base.neg(y)] },
+        /* x^2 - r * y^2, the product with the conjugate */
+        norm([x, y]) { return base.sub(base.mul(x, x), base.mul(root, base.mul(y, y))) },
+        inv(e) {
+            const n = base.inv(field.norm(e));
+            return [base.mul(e[0], n), base.neg(base.mul(e[1], n))];
+        },
+        /* Exact sign: if x and y have different signs, x^2 and r * y^2 are compared */
+        sign(e) {
+            const [sx, sy] = [base.sign(e[0]), base.sign(e[1])];
+            if (sx === sy || sy === 0) {
+                return sx;
+            }
+            if (sx === 0) {
+                return sy;
+            }
+            return base.sign(field.norm(e)) > 0 ? sx : sy;
+        },
+        isZero([x, y]) { return base.isZero(x) && base.isZero(y) },
+        equals([x1, y1], [x2, y2]) { return base.equals(x1, x2) && base.equals(y1, y2) },
+        fromRational(q) { return [base.fromRational(q), base.zero] },
+        /* Square root in this field, (u + v sqrt(r))^2 = x + y sqrt(r) gives u^2 = (x +- sqrt(x^2 - r y^2)) / 2 and v = y / 2u */
+        sqrt(e) {
+            if (field.sign(e) < 0) {
+                return null;
+            }
+            const t = base.sqrt(field.norm(e));
+            if (t === null) {
+                return null;
+            }
+            const half = base.fromRational(rational.make(1n, 2n));
+            for (const u2 of [base.mul(base.add(e[0], t), half), base.mul(base.sub(e[0], t), half)]) {
+                if (base.isZero(u2)) {
+                    /* Pure multiple of sqrt(r) */
+                    const v = base.sqrt(base.mul(e[0], base.inv(root)));
+                    if (v !== null && base.isZero(e[1])) {
+                        return [base.zero, v];
+                    }
+                    continue;
+                }
+                const u = base.sqrt(u2);
+                if (u !== null) {
+                    const candidate = [u, base.mul(e[1], base.inv(base.add(u, u)))];
+                    if (field.equals(field.mul(candidate, candidate), e)) {
+                        return field.sign(candidate) < 0 ? field.neg(candidate) : candidate;
+                    }
+                }
+            }
+            return null;
+        },
+        /* Without cancellation: if x and y have different signs x + y sqrt(r) = (x^2 - r y^2) / (x - y sqrt(r)) */
+        toNumber(e) {
+            const [x, y] = [base.toNumber(e[0]), base.toNumber(e[1]) * Math.sqrt(Number(r))];
+            return Math.sign(x) * Math.sign(y) >= 0 ? x + y : base.toNumber(field.norm(e)) / (x - y);
+        },
+        terms([x, y]) {
+            return [...base.terms(x), ...base.terms(y).map(t => { return { coefficient: t.coefficient, radicand: t.radicand * r } })];
+        }
+    };
+    return field;
+}
+
+/* Q(sqrt(2), sqrt(3)) */
+const field = extension(extension(rational, 2n), 3n);
+
+/**
+ * Element of the field from a rational number.
+ * @param {bigint} n
+ * @param {bigint} [d=1n]
+ * @returns {Array}
+ */
+function number(n, d = 1n) {
+    return field.fromRational(rational.make(n, d));
+}
+
+/**
+ * Element of the field from a sum of square roots.
+ * @param {...Array.bigint} terms [numerator, denominator, radicand] with radicand 1, 2, 3 or 6
+ * @returns {Array}
+ */
+function surds(...terms) {
+    /* x0 + x1 sqrt(2) + (y0 + y1 sqrt(2)) sqrt(3) */
+    const coefficients = { 1: rational.zero, 2: rational.zero, 3: rational.zero, 6: rational.zero };
+    for (const [n, d, radicand] of terms) {
+        coefficients[radicand] = rational.make(n, d);
+    }
+    return [[coefficients[1], coefficients[2]], [coefficients[3], coefficients[6]]];
+}
+
+/* Cosines and sines of k * 15 degrees for k = 0 ... 6 */
+const cosines = [
+    number(1n),
+    surds([1n, 4n, 6n], [1n, 4n, 2n]),
+    surds([1n, 2n, 3n]),
+    surds([1n, 2n, 2n]),
+    number(1n, 2n),
+    surds([1n, 4n, 6n], [-1n, 4n, 2n]),
+    number(0n)
+];
+
+/**
+ * Cosine and sine of a multiple of 15 degrees.
+ * @param {number} k Multiple of 15 degrees, 0 <= k <= 12
+ * @returns {{cos: Array, sin: Array}}
+ */
+function trigonometry(k) {
+    const cos = k <= 6 ? cosines[k] : field.neg(cosines[12 - k]);
+    const sin = k <= 6 ? cosines[6 - k] : cosines[k - 6];
+    return { cos, sin };
+}
+
+/*
+Exact values k * sqrt(m) with k and m in the field, m > 0. They are closed under multiplication, division and square roots.
+Rational radicands are reduced to square-free integers (square factors up to maxFactor), radicands with a square root in the field are 1.
+*/
+const maxFactor = 1000n;
+
+/**
+ * Normalizes k * sqrt(m).
+ * @param {Array} k
+ * @param {Array} m
+ * @returns {{k: Array, m: Array}}
+ */
+function surd(k, m) {
+    if (field.isZero(k) || field.isZero(m)) {
+        return { k: field.zero, m: field.one };
+    }
+    const root = field.sqrt(m);
+    if (root !== null) {
+        return { k: field.mul(k, root), m: field.one };
+    }
+    /* Common denominator of all coefficients, m = m' / d^2 with integer coefficients of m' */
+    const terms = field.terms(m).filter(t => { return t.coefficient.n !== 0n });
+    const d = terms.reduce((l, t) => { return l * t.coefficient.d / gcd(l, t.coefficient.d) }, 1n);
+    let scaled = field.mul(m, number(d * d));
+    k = field.mul(k, number(1n, d));
+    /* Square factors of the greatest common divisor of all coefficients */
+    let g = field.terms(scaled).reduce((x, t) => { return gcd(x, t.coefficient.n) }, 0n);
+    let square = 1n;
+    for (let p = 2n; p <= maxFactor && p * p <= g; p++) {
+        while (g % (p * p) === 0n) {
+            g /= p * p;
+            square *= p;
+        }
+    }
+    const s = isqrt(g);
+    if (s * s === g) {
+        square *= s;
+    }
+    scaled = field.mul(scaled, number(1n, square * square));
+    k = field.mul(k, number(square));
+    /* A single surd of the field moves into the radicand, c*sqrt(3) * sqrt(7) = c * sqrt(21) */
+    const surdTerms = field.terms(k).filter(t => { return t.coefficient.n !== 0n });
+    if (surdTerms.length === 1 && surdTerms[0].radicand !== 1n) {
+        return surd(field.fromRational(surdTerms[0].coefficient), field.mul(scaled, number(surdTerms[0].radicand)));
+    }
+    return { k, m: scaled };
+}
+
+const exact = {
+    fromField(e) { return { k: e, m: field.one } },
+    sqrt(e) { return surd(field.one, e) },
+    mul(x, y) { return surd(field.mul(x.k, y.k), field.mul(x.m, y.m)) },
+    div(x, y) { return surd(field.mul(x.k, field.inv(y.k)), field.mul(x.m, field.inv(y.m))) },
+    /* Square as field element */
+    square(x) { return field.mul(field.mul(x.k, x.k), x.m) },
+    neg(x) { return { k: field.neg(x.k), m: x.m } },
+    sign(x) { return field.sign(x.k) },
+    toNumber(x) { return field.toNumber(x.k) * Math.sqrt(field.toNumber(x.m)) }
+};
+
+/**
+ * Text of a rational coefficient times sqrt(radicand), e.g. "3*sqrt(2)/4".
+ * @param {{n: bigint, d: bigint}} coefficient Positive
+ * @param {string} radicand Text of the radicand, "" for 1
+ * @returns {string}
+ */
+function termText({ n, d }, radicand) {
+    const root = radicand ? `sqrt(${radicand})` : "";
+    const numerator = !root ? `${n}` : n === 1n ? root : `${n}*${root}`;
+    return d === 1n ? numerator : `${numerator}/${d}`;
+}
+
+/**
+ * Text of a sum of terms, e.g. "1 - sqrt(3)/2".
+ * @param {Array.{coefficient: Object, radicand: string}} terms
+ * @returns {string}
+ */
+function sumText(terms) {
+    terms = terms.filter(t => { return t.coefficient.n !== 0n });
+    if (terms.length === 0) {
+        return "0";
+    }
+    return terms.map(({ coefficient, radicand }, i) => {
+        const text = termText(rational.make(coefficient.n < 0n ? -coefficient.n : coefficient.n, coefficient.d), radicand);
+        return coefficient.n < 0n ? (i === 0 ? `-${text}` : ` - ${text}`) : (i === 0 ? text : ` + ${text}`);
+    }).join("");
+}
+
+/**
+ * Text of a field element.
+ * @param {Array} e
+ * @returns {string}
+ */
+function fieldText(e) {
+    return sumText(field.terms(e).map(t => { return { coefficient: t.coefficient, radicand: t.radicand === 1n ? "" : `${t.radicand}` } }));
+}
+
+/**
+ * Text of an exact value.
+ * @param {{k: Array, m: Array}} x
+ * @returns {string}
+ */
+function exactText({ k, m }) {
+    if (field.equals(m, field.one)) {
+        return fieldText(k);
+    }
+    const radicand = fieldText(m);
+    const terms = field.terms(k).filter(t => { return t.coefficient.n !== 0n });
+    if (terms.length === 1 && terms[0].radicand === 1n) {
+        return sumText([{ coefficient: terms[0].coefficient, radicand }]);
+    }
+    return `(${fieldText(k)})*sqrt(${radicand})`;
+}
+
+/**
+ * Exact value in the result.
+ * @typedef {Object} exactValue
+ * @property {string} text - Symbolic form, e.g. "3*sqrt(2)/2" or "pi/6"
+ * @property {number} value - Decimal approximation
+ */
+
+/**
+ * @param {{k: Array, m: Array}} x
+ * @returns {exactValue}
+ */
+function toExactValue(x) {
+    return { text: exactText(x), value: exact.toNumber(x) };
+}
+
+/**
+ * Combines exact values with the same radicand.
+ * @param {Array.Object} values Terms of a sum
+ * @returns {Array.Object} Terms of the same sum with different radicands, without zeros
+ */
+function combineTerms(values) {
+    const groups = [];
+    for (const x of values) {
+        const group = groups.find(g => { return field.equals(g.m, x.m) });
+        if (group) {
+            group.k = field.add(group.k, x.k);
+        } else {
+            groups.push({ k: x.k, m: x.m });
+        }
+    }
+    return groups.filter(g => { return !field.isZero(g.k) });
+}
+
+/**
+ * Sum of exact values, terms with the same radicand are combined.
+ * @param {Array.Object} values
+ * @returns {{text: string, value: number, single: ?Object}} single is the sum as exact value if it has only one term
+ */
+function exactSum(values) {
+    const terms = combineTerms(values);
+    const text = terms.map(exactText).map((t, i) => { return i === 0 ? t : t.startsWith("-") ? ` - ${t.slice(1)}` : ` + ${t}` }).join("") || "0";
+    return { text, value: values.reduce((s, x) => { return s + exact.toNumber(x) }, 0), single: terms.length === 1 ? terms[0] : null };
+}
+
+/* Conjugates multiplied into a quotient at most, two are enough for the sum of three side lengths */
+const maxConjugates = 3;
+
+/**
+ * Quotient of an exact value and a sum of exact values. The denominator is rationalized: numerator and denominator
+ * are multiplied by its conjugate (x - y for x + y) until the denominator has a single term.
+ * @param {Object} numerator
+ * @param {Array.Object} denominator Terms of the sum
+ * @returns {?{text: string, value: number, single: ?Object}} Like {@link exactSum}, null if the denominator can't be rationalized
+ */
+function divideBySum(numerator, denominator) {
+    const products = (xs, ys) => { return combineTerms(xs.flatMap(x => { return ys.map(y => { return exact.mul(x, y) }) })) };
+    let numerators = [numerator];
+    let terms = combineTerms(denominator);
+    for (let step = 0; step < maxConjugates && terms.length > 1; step++) {
+        const conjugate = [...terms.slice(0, -1), exact.neg(terms[terms.length - 1])];
+        numerators = products(numerators, conjugate);
+        terms = products(terms, conjugate);
+    }
+    if (terms.length !== 1) {
+        return null;
+    }
+    return exactSum(numerators.map(x => { return exact.div(x, terms[0]) }));
+}
+
+/**
+ * Reads a rational number from a number or a string like "3/2", "1.25" or "1e-3".
+ * Numbers are read by their shortest decimal representation, so 0.1 is 1/10.
+ * @param {number|string} value
+ * @returns {?{n: bigint, d: bigint}} null if the value isn't a finite rational number
+ */
+export function parseRational(value) {
+    if (typeof value !== "number" && typeof value !== "string") {
+        return null;
+    }
+    const text = String(value).trim();
+    const fraction = /^([+-]?\d+)\s*\/\s*(\d+)$/.exec(text);
+    if (fraction) {
+        return BigInt(fraction[2]) === 0n ? null : rational.make(BigInt(fraction[1]), BigInt(fraction[2]));
+    }
+    const decimal = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+    if (!decimal || (decimal[2] + (decimal[3] ?? "")) === "") {
+        return null;
+    }
+    const [, sign, whole, fractional = "", exponent = "0"] = decimal;
+    const shift = Number(exponent) - fractional.length;
+    const digits = BigInt(`${sign}${whole}${fractional}` || "0");
+    return shift >= 0 ? rational.make(digits * 10n ** BigInt(shift)) : rational.make(digits, 10n ** BigInt(-shift));
+}
+
+/**
+ * Converts fraction strings like "3/2" to numbers for the floating point solution, other values are returned unchanged.
+ * @param {*} value
+ * @returns {*}
+ */
+export function fractionToNumber(value) {
+    if (typeof value !== "string" || !value.includes("/")) {
+        return value;
+    }
+    const q = parseRational(value);
+    return q === null ? value : rational.toNumber(q);
+}
+
+/* Straight angle (180 degrees) in every angle mode, as rational number */
+const straightAngles = { deg: rational.make(180n), grad: rational.make(200n), turn: rational.make(1n, 2n) };
+
+/**
+ * Reads an exact angle as multiple of 15 degrees.
+ * @param {number|string} value
+ * @param {string} mode
+ * @returns {?number} k for k * 15 degrees, null if the angle can't be read exactly or isn't a multiple of 15 degrees
+ */
+function readAngle(value, mode) {
+    const angle = parseRational(value);
+    if (angle === null || !(mode in straightAngles)) {
+        return null;
+    }
+    const k = rational.mul(rational.mul(angle, rational.inv(straightAngles[mode])), rational.make(12n));
+    return k.d === 1n && k.n > 0n && k.n < 12n ? Number(k.n) : null;
+}
+
+/**
+ * Exact angle k * 15 degrees in an angle mode.
+ * @param {number} k
+ * @param {string} mode
+ * @returns {exactValue}
+ */
+function angleValue(k, mode) {
+    const fraction = rational.make(BigInt(k), 12n);
+    if (mode === "rad") {
+        const numerator = fraction.n === 1n ? "pi" : `${fraction.n}*pi`;
+        return { text: fraction.d === 1n ? numerator : `${numerator}/${fraction.d}`, value: Math.PI * k / 12 };
+    }
+    const value = rational.mul(fraction, straightAngles[mode]);
+    return { text: termText(value, ""), value: rational.toNumber(value) };
+}
+
+/**
+ * Finds the multiple of 15 degrees with the given cosine.
+ * @param {Object} cos Exact value
+ * @returns {?number} k, null if the angle isn't a multiple of 15 degrees
+ */
+function angleFromCosine(cos) {
+    const square = exact.square(cos);
+    const sign = exact.sign(cos);
+    for (let k = 1; k < 12; k++) {
+        const c = trigonometry(k).cos;
+        if (field.sign(c) === sign && field.equals(field.mul(c, c), square)) {
+            return k;
+        }
+    }
+    return null;
+}
+
+/* Sides and opposite angles */
+const sideNames = ["a", "b", "c"];
+const angleNames = ["alpha", "beta", "gamma"];
+
+/**
+ * Exact side lengths of all solutions.
+ * @param {Array} sides Given sides as exact values or undefined
+ * @param {Array} angles Given angles as multiples of 15 degrees, null if not exact or undefined
+ * @returns {?Array.Array} Side lengths of every solution, null if they can't be calculated exactly
+ */
+function exactSides(sides, angles) {
+    const known = [0, 1, 2].filter(i => { return sides[i] !== undefined });
+    const knownAngles = [0, 1, 2].filter(i => { return typeof angles[i] === "number" });
+    if (known.length === 3) {
+        return [sides];
+    }
+    /* SAS: law of cosines, the angle must be between the given sides */
+    const included = [0, 1, 2].find(i => { return sides[i] === undefined && typeof angles[i] === "number" && known.length === 2 });
+    if (included !== undefined) {
+        const [s1, s2] = known.map(i => { return sides[i] });
+        const product = exact.mul(exact.mul(s1, s2), exact.fromField(field.mul(number(2n), trigonometry(angles[included]).cos)));
+        if (!field.equals(product.m, field.one)) {
+            return null;
+        }
+        const square = field.sub(field.add(exact.square(s1), exact.square(s2)), product.k);
+        const result = [...sides];
+        result[included] = exact.sqrt(square);
+        return [result];
+    }
+    /* Two angles: the third from the angle sum, all sides by the law of sines */
+    if (knownAngles.length >= 2 && known.length >= 1) {
+        const k = [...angles];
+        const missing = [0, 1, 2].find(i => { return typeof k[i] !== "number" });
+        if (missing !== undefined) {
+            k[missing] = 12 - knownAngles.slice(0, 2).reduce((s, i) => { return s + k[i] }, 0);
+            if (k[missing] <= 0) {
+                return [];
+            }
+        }
+        const i = known[0];
+        const ratio = exact.div(sides[i], exact.fromField(trigonometry(k[i]).sin));
+        return [[0, 1, 2].map(j => { return exact.mul(ratio, exact.fromField(trigonometry(k[j]).sin)) })];
+    }
+    /* SSA: p^2 = q^2 + x^2 - 2 q x cos(theta) gives x = q cos(theta) +- sqrt(p^2 - q^2 sin^2(theta)) */
+    const opposite = knownAngles.find(i => { return sides[i] !== undefined });
+    if (known.length === 2 && opposite !== undefined) {
+        const other = known.find(i => { return i !== opposite });
+        const missing = 3 - opposite - other;
+        const { cos, sin } = trigonometry(angles[opposite]);
+        const [p, q] = [sides[opposite], sides[other]];
+        const qCos = exact.mul(q, exact.fromField(cos));
+        const discriminant = field.sub(exact.square(p), field.mul(exact.square(q), field.mul(sin, sin)));
+        if (field.sign(discriminant) < 0) {
+            return [];
+        }
+        if (field.isZero(cos)) {
+            const result = [...sides];
+            result[missing] = exact.sqrt(discriminant);
+            return [result];
+        }
+        const root = field.sqrt(discriminant);
+        if (root === null || !field.equals(qCos.m, field.one)) {
+            return null;
+        }
+        const candidates = [field.add(qCos.k, root), field.sub(qCos.k, root)]
+            .filter((x, j, all) => { return field.sign(x) > 0 && (j === 0 || !field.equals(x, all[0])) });
+        return candidates.map(x => {
+            const result = [...sides];
+            result[missing] = exact.fromField(x);
+            return result;
+        });
+    }
+    return null;
+}
+
+/**
+ * Calculates all values of a solution exactly.
+ * @param {Array} sides Exact side lengths a, b, c
+ * @param {string} mode Angle mode of the output
+ * @returns {Object} Exact values by property name
+ */
+function exactSolution(sides, mode) {
+    const squares = sides.map(exact.square);
+    const values = {};
+    const cos = [0, 1, 2].map(i => {
+        const [j, k] = [(i + 1) % 3, (i + 2) % 3];
+        const numerator = field.sub(field.add(squares[j], squares[k]), squares[i]);
+        return exact.div(exact.fromField(numerator), exact.mul(exact.fromField(number(2n)), exact.mul(sides[j], sides[k])));
+    });
+    const sin = cos.map(c => { return exact.sqrt(field.sub(field.one, exact.square(c))) });
+    sideNames.forEach((name, i) => { values[name] = sides[i] });
+    angleNames.forEach((name, i) => {
+        const k = angleFromCosine(cos[i]);
+        if (k !== null) {
+            values[name] = angleValue(k, mode);
+        }
+    });
+    const half = exact.fromField(number(1n, 2n));
+    const area = exact.mul(half, exact.mul(exact.mul(sides[1], sides[2]), sin[0]));
+    values.area = area;
+    const perimeter = exactSum(sides);
+    values.perimeter = perimeter;
+    ["ha", "hb", "hc"].forEach((name, i) => { values[name] = exact.div(exact.mul(exact.fromField(number(2n)), area), sides[i]) });
+    ["ma", "mb", "mc"].forEach((name, i) => {
+        const [j, k] = [(i + 1) % 3, (i + 2) % 3];
+        const square = field.sub(field.mul(number(2n), field.add(squares[j], squares[k])), squares[i]);
+        values[name] = exact.mul(half, exact.sqrt(square));
+    });
+    values.circumcircle = { radius: exact.div(sides[0], exact.mul(exact.fromField(number(2n)), sin[0])) };
+    const inradius = divideBySum(exact.mul(exact.fromField(number(2n)), area), sides);
+    if (inradius) {
+        values.incircle = { radius: inradius.single ?? { text: inradius.text, value: inradius.value } };
+    }
+    values.cosines = Object.fromEntries(angleNames.map((name, i) => { return [name, cos[i]] }));
+    return values;
+}
+
+/**
+ * Converts the exact values of a solution to exactValues, recursively for nested Objects.
+ * @param {Object} values
+ * @returns {Object}
+ */
+function toExactValues(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, x]) => {
+        if ("k" in x) {
+            return [key, toExactValue(x)];
+        }
+        if ("text" in x) {
+            return [key, { text: x.text, value: x.value }];
+        }
+        return [key, toExactValues(x)];
+    }));
+}
+
+/* Maximum relative difference between exact and floating point values of the same solution */
+const maxDeviation = 1e-9;
+/* Maximum relative difference of floating point solutions which are merged into fewer exact solutions */
+const mergeDeviation = 1e-6;
+
+/**
+ * Adds exact values to the solutions of solve(). Every solution gets an `exact` property and its values are replaced by the
+ * decimal approximations of the exact values, e.g. 30 instead of 29.999999999999996.
+ * If the given parameters don't allow exact values a NOT_EXACT warning is added.
+ * If the exact case analysis finds fewer triangles than the floating point solver, e.g. a single right triangle instead of two close
+ * ones in the ambiguous SSA case, the floating point solutions are merged into the exact ones.
+ * @param {solveResult} result Result of solve() with floating point solutions
+ * @param {Object} given Given parameters a, b, c, alpha, beta, gamma
+ * @param {?string} reason Reason why exact values are impossible, e.g. given derived quantities
+ * @returns {solveResult} result
+ */
+export function addExactValues(result, given, reason) {
+    if (result.solutions.length === 0) {
+        return result;
+    }
+    const names = [...sideNames, ...angleNames].filter(name => { return given[name] !== undefined });
+    const notExact = (text) => {
+        return addWarning(result, errorCodes.NOT_EXACT, `Exact values are not possible: ${text}`, names);
+    };
+    if (reason) {
+        return notExact(reason);
+    }
+    const sides = sideNames.map(name => { return given[name] === undefined ? undefined : parseRational(given[name]) });
+    const irrational = sideNames.filter((name, i) => { return given[name] !== undefined && sides[i] === null });
+    if (irrational.length > 0) {
+        return notExact(`${irrational.join(", ")} must be rational numbers like 1.5 or "3/2"`);
+    }
+    const angles = angleNames.map(name => { return given[name] === undefined ? undefined : readAngle(given[name], result.mode) });
+    const candidates = exactSides(sides.map(s => { return s === undefined ? undefined : exact.fromField(field.fromRational(s)) }), angles);
+    if (candidates === null) {
+        const inexactAngles = angleNames.filter((name, i) => { return given[name] !== undefined && angles[i] === null });
+        if (result.mode === "rad" && inexactAngles.length > 0) {
+            return notExact(`angles must be given in "deg", "grad" or "turn"`);
+        }
+        return notExact(inexactAngles.length > 0 ? `angles must be multiples of 15 degrees, given as numbers or fractions: ${inexactAngles.join(", ")}`
+            : "the missing side length is a nested square root");
+    }
+
+    /* Exact solutions are assigned to the floating point solution with the same side lengths */
+    const solutions = candidates.map(sides => { return exactSolution(sides, result.outputMode) });
+    const nearest = result.solutions.map(solution => {
+        const deviations = solutions.map(values => {
+            return Math.max(...sideNames.map(name => { return Math.abs(exact.toNumber(values[name]) - solution[name]) / solution[name] }));
+        });
+        const index = deviations.indexOf(Math.min(...deviations));
+        return { index, deviation: index < 0 ? Infinity : deviations[index] };
+    });
+    /* Close to the boundary of the ambiguous SSA case rounding errors make two floating point triangles of the single exact one,
+       e.g. a = 1, b = 2, alpha = 30. The closest one gets the exact values, the others are removed. */
+    const merge = solutions.length < result.solutions.length;
+    const indices = [];
+    result.solutions.forEach((solution, i) => {
+        const { index, deviation } = nearest[i];
+        const merged = merge && deviation <= mergeDeviation;
+        const closest = nearest.every((other, j) => {
+            return other.index !== index || other.deviation > deviation || (other.deviation === deviation && j >= i);
+        });
+        if (merged && !closest) {
+            return;
+        }
+        indices.push(i);
+        if (deviation > maxDeviation && !merged) {
+            return;
+        }
+        const match = solutions[index];
+        solution.exact = toExactValues({ ...match, perimeter: { text: match.perimeter.text, value: match.perimeter.value } });
+        for (const [key, value] of Object.entries(solution.exact)) {
+            if (key === "cosines") {
+                continue;
+            }
+            if ("value" in value) {
+                solution[key] = value.value;
+            } else {
+                solution[key].radius = value.radius.value;
+            }
+        }
+        /* The classification of the floating point values can miss a right angle or equal sides */
+        solution.classification = classifyTriangle(solution, { mode: result.outputMode });
+        if (!match.incircle) {
+            addWarning(result, errorCodes.NOT_EXACT, `Exact values are not possible: the incircle radius has no exact form`, names, { solution: i });
+        }
+    });
+    if (indices.length < result.solutions.length) {
+        result.solutions = indices.map(i => { return result.solutions[i] });
+        if (result.warnings) {
+            result.warnings = result.warnings.filter(warning => { return warning.solution === undefined || indices.includes(warning.solution) });
+            result.warnings.forEach(warning => {
+                if (warning.solution !== undefined) {
+                    warning.solution = indices.indexOf(warning.solution);
+                }
+            });
+        }
+        if (result.explanation && result.explanation.ambiguity) {
+            result.explanation.ambiguity.reason += ` Exact arithmetic finds ${solutions.length} ${solutions.length === 1 ? "triangle" : "triangles"}, the floating point solutions are merged.`;
+        }
+    }
+    result.solutions.forEach((solution, i) => {
+        if (!solution.exact) {
+            addWarning(result, errorCodes.NOT_EXACT, `Exact values are not possible: solution ${i} has no exact counterpart`, names, { solution: i });
+        }
+    });
+    return result;
+}
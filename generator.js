@@ -0,0 +1,319 @@
+/**
+ * @author Michael Meigel
+ *
+ * Seeded random triangles and exercises, e.g. for worksheets or to compare solve and solvePoints.
+ */
+
+import { solve, placeSolution, roundToPrecision } from "./index.js";
+import { addError, errorCodes } from "./errors.js";
+import { angleUnits, checkMode } from "./angles.js";
+
+/* Solution counts which are possible for a case */
+const caseSolutions = Object.freeze({
+    SSS: [0, 1],
+    SAS: [1],
+    ASA: [0, 1],
+    AAS: [0, 1],
+    SSA: [0, 1, 2]
+});
+
+/* Classes as angleType or sideType of triangleClassification */
+const classes = ["acute", "right", "obtuse", "scalene", "isosceles", "equilateral"];
+
+/* Values compared by fuzzSolvers */
+const comparedValues = ["a", "b", "c", "alpha", "beta", "gamma", "area", "perimeter", "ha", "hb", "hc", "ma", "mb", "mc", "ta", "tb", "tc", "incircle.radius", "circumcircle.radius"];
+
+const sideNames = ["a", "b", "c"];
+const angleNames = ["alpha", "beta", "gamma"];
+
+/**
+ * Creates a pseudo random number generator (mulberry32).
+ * @param {number|string} seed Strings are hashed (FNV-1a)
+ * @returns {function(): number} Returns numbers 0 <= x < 1
+ */
+function createRandom(seed) {
+    let state = 0;
+    if (typeof seed === "string") {
+        state = 2166136261;
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+        }
+    } else {
+        state = Math.floor(Number(seed)) | 0;
+    }
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Names of the given values of a case. The rotation moves the values to other vertices, e.g. SAS as b, c, alpha or c, a, beta.
+ * @param {string} caseName
+ * @param {number} rotation 0, 1 or 2
+ * @returns {{sides: Array.string, angles: Array.string}}
+ */
+function givenNames(caseName, rotation) {
+    const side = (i) => { return sideNames[(rotation + i) % 3] };
+    const angle = (i) => { return angleNames[(rotation + i) % 3] };
+    switch (caseName) {
+        case "SSS":
+            return { sides: [side(0), side(1), side(2)], angles: [] };
+        case "SAS":
+            return { sides: [side(1), side(2)], angles: [angle(0)] };
+        case "ASA":
+            return { sides: [side(0)], angles: [angle(1), angle(2)] };
+        case "AAS":
+            return { sides: [side(0)], angles: [angle(0), angle(1)] };
+        default:
+            return { sides: [side(0), side(1)], angles: [angle(0)] };
+    }
+}
+
+/**
+ * Three angles of a random triangle of a class, rounded to nice values. Side classes are only considered for isosceles and equilateral triangles.
+ * @param {function(): number} random
+ * @param {Object} options
+ * @returns {Array.number} Angles in the angle mode, their sum is a straight angle
+ */
+function randomAngles(random, { triangleClass, angles: [low, high], angleDecimals, straight }) {
+    const uniform = (min, max) => { return roundToPrecision(min + random() * (max - min), angleDecimals) };
+    let angles;
+    switch (triangleClass) {
+        case "right": {
+            const x = uniform(low, straight / 2 - low);
+            angles = [straight / 2, x, straight / 2 - x];
+            break;
+        }
+        case "isosceles": {
+            const x = uniform(low, straight / 2);
+            angles = [x, x, straight - 2 * x];
+            break;
+        }
+        case "equilateral":
+            angles = [straight / 3, straight / 3, straight / 3];
+            break;
+        default: {
+            const [x, y] = [uniform(low, high), uniform(low, high)];
+            angles = [x, y, straight - x - y];
+        }
+    }
+    /* Shuffle, so the special angle can be at every vertex */
+    for (let i = 2; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [angles[i], angles[j]] = [angles[j], angles[i]];
+    }
+    return angles.map(x => { return roundToPrecision(x, angleDecimals) });
+}
+
+/**
+ * Side lengths of a random right triangle with a Pythagorean triple, so rounded side lengths stay exact.
+ * @param {function(): number} random
+ * @param {Object} options
+ * @returns {Array.number}
+ */
+function pythagoreanSides(random, { sides: [low, high], sideDecimals }) {
+    const m = 2 + Math.floor(random() * 6);
+    const n = 1 + Math.floor(random() * (m - 1));
+    const hypotenuse = m * m + n * n;
+    const factor = roundToPrecision((low + random() * (high - low)) / hypotenuse, sideDecimals);
+    const sides = [factor * (m * m - n * n), factor * 2 * m * n, factor * hypotenuse];
+    for (let i = 2; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [sides[i], sides[j]] = [sides[j], sides[i]];
+    }
+    return sides.map(x => { return roundToPrecision(x, sideDecimals) });
+}
+
+/**
+ * Given values taken from a random triangle.
+ * @param {function(): number} random
+ * @param {Object} options
+ * @param {{sides: Array.string, angles: Array.string}} names
+ * @returns {?Object} null if an angle is out of range
+ */
+function valuesFromTriangle(random, options, names) {
+    const { caseName, triangleClass, sides: [low, high], sideDecimals, straight } = options;
+    const given = {};
+    if (caseName === "SSS" && triangleClass === "right") {
+        pythagoreanSides(random, options).forEach((x, i) => { given[sideNames[i]] = x });
+        return given;
+    }
+    const angles = randomAngles(random, options);
+    if (angles.some(x => { return x < options.angles[0] || x > options.angles[1] })) {
+        return null;
+    }
+    const sines = angles.map(x => { return Math.sin(x * Math.PI / straight) });
+    /* The longest side is uniformly distributed in the range of the side lengths */
+    const scale = (low + random() * (high - low)) / Math.max(...sines);
+    for (const name of names.sides) {
+        given[name] = roundToPrecision(scale * sines[sideNames.indexOf(name)], sideDecimals);
+    }
+    for (const name of names.angles) {
+        given[name] = angles[angleNames.indexOf(name)];
+    }
+    return given;
+}
+
+/**
+ * Independent random given values, used for cases without solutions and for SSA.
+ * @param {function(): number} random
+ * @param {Object} options
+ * @param {{sides: Array.string, angles: Array.string}} names
+ * @returns {Object}
+ */
+function randomValues(random, { sides, angles, sideDecimals, angleDecimals }, names) {
+    const uniform = ([min, max], decimals) => { return roundToPrecision(min + random() * (max - min), decimals) };
+    const given = {};
+    for (const name of names.sides) {
+        given[name] = uniform(sides, sideDecimals);
+    }
+    for (const name of names.angles) {
+        given[name] = uniform(angles, angleDecimals);
+    }
+    return given;
+}
+
+/**
+ * Options of the triangle generator.
+ * @typedef {Object} generatorOptions
+ * @property {number|string} [seed=Date.now()] - Seed of the random numbers, the same seed and options always produce the same triangle
+ * @property {string} [case] - "SSS", "SAS", "ASA", "AAS" or "SSA", random by default
+ * @property {number} [solutionCount] - Number of solutions: 0, 1 or 2 (only SSA). By default 1 or 2.
+ * @property {string} [class] - "acute", "right", "obtuse", "scalene", "isosceles" or "equilateral". At least one solution has this class.
+ * @property {Array.number} [sides=[1, 20]] - Range of the given side lengths
+ * @property {Array.number} [angles] - Range of the angles in the angle mode, default 10 to 150 degrees
+ * @property {number} [sideDecimals=0] - Decimal places of the given side lengths
+ * @property {number} [angleDecimals=0] - Decimal places of the given angles
+ * @property {string} [mode="deg"] - Angle unit: "deg", "rad", "grad" or "turn"
+ * @property {number} [maxAttempts=1000] - Number of random triangles tried before an error is returned
+ */
+
+/**
+ * Exercise created by {@link generateTriangle}.
+ * @typedef {Object} triangleExercise
+ * @property {Object} given - The 3 given values, e.g. {a:7, b:9, gamma:48}
+ * @property {solveResult} answer - Answer key, the result of {@link solve} for the given values. Contains the error for exercises without solution.
+ */
+
+/**
+ * Generates a random triangle exercise from a seed.
+ * Values are drawn from random triangles of the class and rounded to the decimal places, then the rounded values are solved.
+ * Triangles which don't match the case, the number of solutions or the class are skipped.
+ * @example
+ * generateTriangle({seed: 42, case: "SSA", solutionCount: 2}).answer.solutions.length == 2
+ * @param {generatorOptions} [options]
+ * @returns {triangleExercise} - Additionally contains the options. If no triangle could be found `error` is set.
+ */
+export function generateTriangle({ seed = Date.now(), case: caseName, solutionCount, class: triangleClass, sides = [1, 20], angles, sideDecimals = 0, angleDecimals = 0, mode = "deg", maxAttempts = 1000 } = {}) {
+    const result = { seed, case: caseName, solutionCount, class: triangleClass, sides, angles, sideDecimals, angleDecimals, mode };
+    if (!checkMode(result, mode)) {
+        return result;
+    }
+    const straight = Math.PI * angleUnits[mode];
+    angles ??= [10, 150].map(x => { return x * straight / 180 });
+    result.angles = angles;
+    if (caseName !== undefined && !(caseName in caseSolutions)) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: case = ${caseName} - Must be "SSS", "SAS", "ASA", "AAS" or "SSA"`, ["case"]);
+    }
+    const counts = caseSolutions[caseName ?? "SSA"] ?? [];
+    if (solutionCount !== undefined && !counts.includes(solutionCount)) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: solutionCount = ${solutionCount} - Must be ${counts.join(", ")}${caseName ? ` for ${caseName}` : ""}`, ["case", "solutionCount"]);
+    }
+    if (triangleClass !== undefined && (!classes.includes(triangleClass) || solutionCount === 0)) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: class = ${triangleClass} - Must be ${classes.map(x => { return `"${x}"` }).join(", ")} for triangles with solutions`, ["class", "solutionCount"]);
+    }
+    for (const [name, range, decimals] of [["sides", sides, "sideDecimals"], ["angles", angles, "angleDecimals"]]) {
+        if (!Array.isArray(range) || range.length !== 2 || !(range[0] > 0) || !(range[1] >= range[0]) || (name === "angles" && !(range[1] < straight))) {
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${name} = ${JSON.stringify(range)} - Must be [min, max] with 0 < min <= max${name === "angles" ? " < 180 degrees" : ""}`, [name]);
+        }
+        if (!Number.isInteger(result[decimals]) || result[decimals] < 0) {
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${decimals} = ${result[decimals]} - Must be an integer >= 0`, [decimals]);
+        }
+    }
+    if (result.errors) {
+        return result;
+    }
+
+    const random = createRandom(seed);
+    const cases = Object.keys(caseSolutions).filter(name => { return solutionCount === undefined || caseSolutions[name].includes(solutionCount) });
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const currentCase = caseName ?? cases[Math.floor(random() * cases.length)];
+        const names = givenNames(currentCase, Math.floor(random() * 3));
+        const options = { caseName: currentCase, triangleClass, sides, angles, sideDecimals, angleDecimals, straight };
+        /* Triangles without solution can't be taken from a triangle, SSA also needs independent values for 2 solutions */
+        const fromTriangle = solutionCount !== 0 && (currentCase !== "SSA" || attempt % 2 === 0);
+        const given = fromTriangle ? valuesFromTriangle(random, options, names) : randomValues(random, options, names);
+
+        if (given === null || !Object.values(given).every(x => { return x > 0 }) || names.sides.some(name => { return given[name] < sides[0] || given[name] > sides[1] })) {
+            continue;
+        }
+        const answer = solve({ ...given, mode });
+        const count = answer.solutions.length;
+        if (answer.error && answer.errors[0].code !== errorCodes.NO_SOLUTION) {
+            continue;
+        }
+        if (solutionCount === undefined ? count === 0 : count !== solutionCount) {
+            continue;
+        }
+        if (triangleClass !== undefined && !answer.solutions.some(s => { return s.classification?.angleType === triangleClass || s.classification?.sideType === triangleClass })) {
+            continue;
+        }
+        result.case = currentCase;
+        result.given = given;
+        result.answer = answer;
+        return result;
+    }
+    return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No triangle found for the given options after ${maxAttempts} attempts.`, ["case", "solutionCount", "class"]);
+}
+
+/**
+ * Generates several random triangle exercises. Every exercise gets its own seed, derived from the seed of the options.
+ * @example
+ * generateTriangles(20, {seed: "worksheet 1", case: "SAS", class: "obtuse"})
+ * @param {number} count - Number of exercises
+ * @param {generatorOptions} [options]
+ * @returns {Array.triangleExercise}
+ */
+export function generateTriangles(count, { seed = Date.now(), ...options } = {}) {
+    const random = createRandom(seed);
+    const exercises = [];
+    for (let i = 0; i < count; i++) {
+        exercises.push(generateTriangle({ ...options, seed: Math.floor(random() * 4294967296) }));
+    }
+    return exercises;
+}
+
+/**
+ * Compares {@link solve} with {@link solvePoints}: every solution of random exercises is placed in the plane with {@link placeSolution}
+ * and the values calculated from the coordinates are compared with the values of the solution.
+ * @example
+ * fuzzSolvers(1000, {seed: 1}).mismatches.length == 0
+ * @param {number} count - Number of exercises
+ * @param {generatorOptions & {tolerance: number}} [options] - Options of the exercises and the maximum relative difference, default 1e-9
+ * @returns {{checked: number, mismatches: Array.Object}} Number of compared solutions and the differences,
+ * each with the seed and given values of the exercise, the index of the solution, the name of the value and both results
+ */
+export function fuzzSolvers(count, { tolerance = 1e-9, ...options } = {}) {
+    const mode = options.mode ?? "deg";
+    const get = (solution, name) => { return name.split(".").reduce((o, key) => { return o?.[key] }, solution) };
+    const report = { checked: 0, mismatches: [] };
+    for (const exercise of generateTriangles(count, options)) {
+        if (exercise.error) {
+            continue;
+        }
+        exercise.answer.solutions.forEach((solution, index) => {
+            const placed = placeSolution(solution, { mode }).solutions[0];
+            report.checked++;
+            for (const name of comparedValues) {
+                const [expected, actual] = [get(solution, name), get(placed, name)];
+                if (!(Math.abs(expected - actual) <= tolerance * Math.max(Math.abs(expected), Math.abs(actual), 1))) {
+                    report.mismatches.push({ seed: exercise.seed, given: exercise.given, solution: index, value: name, solve: expected, solvePoints: actual });
+                }
+            }
+        });
+    }
+    return report;
+}
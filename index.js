@@ -3,13 +3,52 @@
  * 
  */
 
-/* Constants for angle mode conversions*/
-const toRad = Math.PI / 180.0;
-const toDeg = 180.0 / Math.PI;
+import { addError, addWarning, errorCodes } from "./errors.js";
+import { angleUnits, checkMode, parseAngle } from "./angles.js";
+import { classifyTriangle } from "./classify.js";
+import { angleFromSides, orient2d, triangleArea } from "./robust.js";
+import { addExactValues, fractionToNumber } from "./exact.js";
+
+export { solveSpherical } from "./spherical.js";
+export { errorCodes } from "./errors.js";
+export { parseAngle, formatDMS } from "./angles.js";
+export { renderSVG } from "./svg.js";
+export { solveBatch, solvePointsBatch, batchStatus } from "./batch.js";
+export { classifyTriangle, rankByQuality } from "./classify.js";
+export { solveCevian } from "./cevian.js";
+export { cartesianToBarycentric, barycentricToCartesian, cartesianToTrilinear, trilinearToCartesian, locatePoint, closestPoint, interpolateAttributes } from "./barycentric.js";
+export { triangleCenters } from "./centers.js";
+export { triangleArea } from "./robust.js";
+export { forwardIntersection, trilateration, resection } from "./surveying.js";
+export { generateTriangle, generateTriangles, fuzzSolvers } from "./generator.js";
+export { compareTriangles } from "./compare.js";
+export { solvePolygon } from "./polygon.js";
+
+/* Straight angle in every angle mode, used in derivation texts */
+const straightAngles = { deg: "180", rad: "pi", grad: "200", turn: "0.5" };
 /* Sum of angle values in radians (equal to 180 degrees) */
 const angleSum = Math.PI;
+/* Smallest angle in radians, below which a solved triangle is reported as near-degenerate */
+const nearDegenerateAngle = 1e-6;
 /* Order of side lengths/angles in valArrays */
 const order = ["a", "gamma", "b", "alpha", "c", "beta"];
+/*
+Derived quantities which solve() accepts in addition to side lengths and angles.
+key: property name of the parameter, get: reads the given value from the parameters, calculate: calculates it for a solution,
+dimension: power of length (area=2), unit: value for a similar triangle with circumradius 1.
+*/
+const derivedQuantities = [
+    { name: "area", key: "area", dimension: 2, get: (t) => t.area, calculate: (s) => s.area, unit: ([a, b], [, , gamma]) => 0.5 * a * b * Math.sin(gamma) },
+    { name: "perimeter", key: "perimeter", dimension: 1, get: (t) => t.perimeter, calculate: (s) => s.perimeter, unit: ([a, b, c]) => a + b + c },
+    { name: "ha", key: "ha", dimension: 1, get: (t) => t.ha, calculate: (s) => s.ha, unit: ([, b, c]) => b * c / 2 },
+    { name: "hb", key: "hb", dimension: 1, get: (t) => t.hb, calculate: (s) => s.hb, unit: ([a, , c]) => a * c / 2 },
+    { name: "hc", key: "hc", dimension: 1, get: (t) => t.hc, calculate: (s) => s.hc, unit: ([a, b]) => a * b / 2 },
+    { name: "ma", key: "ma", dimension: 1, get: (t) => t.ma, calculate: (s) => medianLength(s.a, s.b, s.c), unit: ([a, b, c]) => medianLength(a, b, c) },
+    { name: "mb", key: "mb", dimension: 1, get: (t) => t.mb, calculate: (s) => medianLength(s.b, s.c, s.a), unit: ([a, b, c]) => medianLength(b, c, a) },
+    { name: "mc", key: "mc", dimension: 1, get: (t) => t.mc, calculate: (s) => medianLength(s.c, s.a, s.b), unit: ([a, b, c]) => medianLength(c, a, b) },
+    { name: "incircle.radius", key: "incircle", dimension: 1, get: (t) => t.incircle?.radius, calculate: (s) => s.incircle.radius, unit: ([a, b, c]) => incircleRadius(a, b, c) },
+    { name: "circumcircle.radius", key: "circumcircle", dimension: 1, get: (t) => t.circumcircle?.radius, calculate: (s) => s.circumcircle.radius, unit: () => 1 }
+];
 
 /**
  * Rounds the fractional part of a floating point number to a given precision. 
@@ -37,6 +76,209 @@ function equalFloat(f1, f2, maxDifference = 0.001) {
     return Math.abs(f1 - f2) <= maxDifference;
 }
 
+/**
+ * Finds all roots of a continuous function inside an open interval.
+ * The interval is sampled, sign changes are refined by bisection and roots where the function only touches zero are refined by ternary search.
+ * @param {function(number):number} f
+ * @param {number} lower Lower bound (excluded)
+ * @param {number} upper Upper bound (excluded)
+ * @param {number} [samples=1000] Number of sampled points
+ * @returns {?Array.number} Sorted roots, null if f is zero on the whole interval
+ */
+function findRoots(f, lower, upper, samples = 1000) {
+    const step = (upper - lower) / samples;
+    const xs = [];
+    const ys = [];
+    for (let i = 0; i < samples; i++) {
+        const x = lower + (i + 0.5) * step;
+        const y = f(x);
+        if (Number.isFinite(y)) {
+            xs.push(x);
+            ys.push(y);
+        }
+    }
+    if (ys.length > 0 && ys.every(y => { return Math.abs(y) < 1e-10 })) {
+        return null;
+    }
+    const roots = [];
+    for (let i = 0; i < xs.length; i++) {
+        if (ys[i] === 0) {
+            roots.push(xs[i]);
+            continue;
+        }
+        /* Sign change between two samples */
+        if (i > 0 && ys[i - 1] !== 0 && Math.sign(ys[i - 1]) !== Math.sign(ys[i])) {
+            let lo = xs[i - 1];
+            let hi = xs[i];
+            const loSign = Math.sign(ys[i - 1]);
+            for (let j = 0; j < 100 && hi - lo > Number.EPSILON * Math.abs(hi); j++) {
+                const mid = (lo + hi) / 2;
+                if (Math.sign(f(mid)) === loSign) {
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+            }
+            roots.push((lo + hi) / 2);
+            continue;
+        }
+        /* Local minimum of |f| without sign change, might touch zero */
+        if (i > 0 && i < xs.length - 1 && Math.sign(ys[i - 1]) === Math.sign(ys[i]) && Math.sign(ys[i + 1]) === Math.sign(ys[i])
+            && Math.abs(ys[i]) < Math.abs(ys[i - 1]) && Math.abs(ys[i]) <= Math.abs(ys[i + 1])) {
+            let lo = xs[i - 1];
+            let hi = xs[i + 1];
+            for (let j = 0; j < 100; j++) {
+                const m1 = lo + (hi - lo) / 3;
+                const m2 = hi - (hi - lo) / 3;
+                if (Math.abs(f(m1)) < Math.abs(f(m2))) {
+                    hi = m2;
+                } else {
+                    lo = m1;
+                }
+            }
+            const x = (lo + hi) / 2;
+            if (Math.abs(f(x)) < 1e-10) {
+                roots.push(x);
+            }
+        }
+    }
+    return roots;
+}
+
+/**
+ * Finds roots of a function of two variables with Newton's method, started from several seeds.
+ * @param {function(number, number):Array.number} f Returns two residuals
+ * @param {function(number, number):boolean} inside Checks if a point belongs to the domain
+ * @param {Array.Array.number} seeds Starting points
+ * @returns {Array.Array.number} Distinct roots
+ */
+function findRoots2D(f, inside, seeds) {
+    const h = 1e-7;
+    const roots = [];
+    for (const seed of seeds) {
+        let [x, y] = seed;
+        let [f1, f2] = f(x, y);
+        let norm = Math.hypot(f1, f2);
+        for (let i = 0; i < 60 && norm > 1e-13; i++) {
+            /* Jacobian by forward differences */
+            const [fx1, fx2] = f(x + h, y);
+            const [fy1, fy2] = f(x, y + h);
+            const j11 = (fx1 - f1) / h, j12 = (fy1 - f1) / h;
+            const j21 = (fx2 - f2) / h, j22 = (fy2 - f2) / h;
+            const det = j11 * j22 - j12 * j21;
+            if (!Number.isFinite(det) || det === 0) {
+                break;
+            }
+            const dx = (j22 * f1 - j12 * f2) / det;
+            const dy = (j11 * f2 - j21 * f1) / det;
+            /* Damping: halve step until it stays inside the domain and reduces the residual */
+            let lambda = 1;
+            let accepted = false;
+            while (lambda > 1e-6) {
+                const nx = x - lambda * dx;
+                const ny = y - lambda * dy;
+                if (inside(nx, ny)) {
+                    const [n1, n2] = f(nx, ny);
+                    const nNorm = Math.hypot(n1, n2);
+                    if (nNorm < norm) {
+                        [x, y, f1, f2, norm] = [nx, ny, n1, n2, nNorm];
+                        accepted = true;
+                        break;
+                    }
+                }
+                lambda /= 2;
+            }
+            if (!accepted) {
+                break;
+            }
+        }
+        if (norm <= 1e-10 && !roots.some(r => { return Math.hypot(r[0] - x, r[1] - y) < 1e-6 })) {
+            roots.push([x, y]);
+        }
+    }
+    return roots;
+}
+
+/**
+ * Numerical rank of the Jacobian of a function of two variables, the largest rank at the sample points.
+ * The rank at a point is 2 if the gradients of both residuals are not parallel. Points where a gradient vanishes are skipped.
+ * @param {function(number, number):Array.number} f Returns two residuals
+ * @param {Array.Array.number} points Sample points inside the domain
+ * @returns {number} 0, 1 or 2
+ */
+function jacobianRank(f, points) {
+    const h = 1e-6;
+    let rank = 0;
+    for (const [x, y] of points) {
+        /* Jacobian by central differences */
+        const [fx1, fx2] = f(x + h, y).map((v, i) => { return (v - f(x - h, y)[i]) / (2 * h) });
+        const [fy1, fy2] = f(x, y + h).map((v, i) => { return (v - f(x, y - h)[i]) / (2 * h) });
+        const [n1, n2] = [Math.hypot(fx1, fy1), Math.hypot(fx2, fy2)];
+        if (!(n1 > 1e-8 && n2 > 1e-8)) {
+            rank = Math.max(rank, n1 > 1e-8 || n2 > 1e-8 ? 1 : 0);
+            continue;
+        }
+        /* Sine of the angle between the gradients */
+        const sine = Math.abs(fx1 * fy2 - fy1 * fx2) / (n1 * n2);
+        rank = Math.max(rank, sine > 1e-5 ? 2 : 1);
+        if (rank === 2) {
+            break;
+        }
+    }
+    return rank;
+}
+
+/**
+ * Names of the side lengths, angles and derived quantities given to {@link solve}.
+ * @param {Object} result
+ * @returns {Array.string}
+ */
+function givenParameters(result) {
+    return ["a", "b", "c", "alpha", "beta", "gamma"]
+        .filter(p => { return result[p] !== undefined })
+        .concat(derivedQuantities.filter(q => { return result[q.key] !== undefined }).map(q => { return q.name }));
+}
+
+/**
+ * Creates a solution object with all side lengths, angles and derived quantities.
+ * @param {Array} valArray Complete side lengths and angles (radians)
+ * @param {string} mode Angle mode of the solution
+ * @returns {triangleSolution}
+ */
+function createSolution(valArray, mode) {
+    const modeOutConv = angleUnits[mode];
+    const solution = {};
+    for (let i = 0; i < order.length; i += 2) {
+        solution[order[i]] = valArray[i];
+    }
+    for (let i = 1; i < order.length; i += 2) {
+        solution[order[i]] = modeOutConv * valArray[i];
+    }
+    /* Area and radii from the side lengths, sines of angles close to 180 degrees are inaccurate */
+    solution.area = triangleArea(valArray[0], valArray[2], valArray[4]);
+
+    solution.incircle = {
+        radius: incircleRadius(valArray[0], valArray[2], valArray[4])
+    };
+
+    solution.circumcircle = {
+        radius: (valArray[0] * valArray[2] * valArray[4]) / (4 * solution.area)
+    };
+    solution.ha = (solution.b * solution.c) / (2 * solution.circumcircle.radius);
+    solution.hb = (solution.a * solution.c) / (2 * solution.circumcircle.radius);
+    solution.hc = (solution.a * solution.b) / (2 * solution.circumcircle.radius);
+
+    solution.perimeter = solution.a + solution.b + solution.c;
+    solution.ma = medianLength(solution.a, solution.b, solution.c);
+    solution.mb = medianLength(solution.b, solution.c, solution.a);
+    solution.mc = medianLength(solution.c, solution.a, solution.b);
+    solution.ta = bisectorLength(solution.a, solution.b, solution.c);
+    solution.tb = bisectorLength(solution.b, solution.c, solution.a);
+    solution.tc = bisectorLength(solution.c, solution.a, solution.b);
+    solution.classification = classifyTriangle(solution, { mode });
+    return solution;
+}
+
 /**
  * Creates solution object, also checks if there is a mismatch between calculated and input values if more than 3 values where provided 
  * @param {Array} valArray
@@ -46,54 +288,710 @@ function equalFloat(f1, f2, maxDifference = 0.001) {
  */
 function addSolutionToResult(valArray, result, parameterCount = 3) {
     /* Convert angles back to degrees if necessary */
-    const modeOutConv = result.mode === "deg" ? toDeg : 1;
+    const modeOutConv = angleUnits[result.mode];
     /* Check if given and calculated values are in conflict, can only happen if more than 3 were given */
+    let inconsistent = false;
     if (parameterCount > 3) {
         for (let i = 0; i < order.length; i++) {
             const property = order[i];
             const calculatedValue = i % 2 == 1 ? modeOutConv * valArray[i] : valArray[i];
             if (result[property]) {
-                if (!equalFloat(result[property], calculatedValue)) {
-                    result.error = `Calculated value for "${property}" different from input: input: ${result[property]} calculated: ${calculatedValue}`;
-                    return result;
+                const given = i % 2 == 1 ? parseAngle(result[property], result.mode) : result[property];
+                if (!equalFloat(given, calculatedValue)) {
+                    addError(result, errorCodes.INCONSISTENT_INPUT, `Calculated value for "${property}" different from input: input: ${result[property]} calculated: ${calculatedValue}`,
+                        [property], { calculated: { [property]: calculatedValue } });
+                    inconsistent = true;
                 }
             }
         }
     }
     /* Check if triangle is valid */
-    /* Angles */
-    if ([valArray[1], valArray[3], valArray[5]].some((x) => { return (x <= 0 || x >= angleSum) })) {
-        result.error = `Unsolvable: No solution is possible for given parameters.`;
+    /* Angles and side lengths */
+    if ([valArray[1], valArray[3], valArray[5]].some((x) => { return (x <= 0 || x >= angleSum) })
+        || [valArray[0], valArray[2], valArray[4]].some((x) => { return (x <= 0) })) {
+        if (!inconsistent) {
+            addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
+        }
         return result;
     }
-    /* Side lengths */
-    if ([valArray[0], valArray[2], valArray[4]].some((x) => { return (x <= 0) })) {
-        result.error = `Unsolvable: No solution is possible for given parameters.`;
+
+    /* Create solution object and add to result object*/
+    const solution = createSolution(valArray, result.outputMode);
+
+    /* Check given derived quantities like area or altitudes */
+    if (parameterCount > 3) {
+        for (const quantity of derivedQuantities) {
+            const given = quantity.get(result);
+            const calculated = quantity.calculate(solution);
+            if (given !== undefined && !equalFloat(Number(given), calculated)) {
+                addError(result, errorCodes.INCONSISTENT_INPUT, `Calculated value for "${quantity.name}" different from input: input: ${given} calculated: ${calculated}`,
+                    [quantity.name], { calculated: { [quantity.name]: calculated } });
+                inconsistent = true;
+            }
+        }
+    }
+    if (inconsistent) {
         return result;
     }
 
-    /* Create solution object and add to result object*/
-    const solution = {};
-    for (let i = 0; i < order.length; i += 2) {
-        solution[order[i]] = valArray[i];
+    result.solutions.push(solution);
+    warnNearDegenerate(result, [valArray[1], valArray[3], valArray[5]], givenParameters(result));
+    return result;
+}
+
+/**
+ * Adds a warning if the smallest angle of the last solution is below nearDegenerateAngle.
+ * @param {Object} result
+ * @param {Array.number} angles Angles of the solution in radians
+ * @param {Array.string} parameters Names of the given parameters
+ */
+function warnNearDegenerate(result, angles, parameters) {
+    const smallest = Math.min(...angles);
+    if (smallest < nearDegenerateAngle) {
+        const mode = result.outputMode ?? result.mode;
+        addWarning(result, errorCodes.NEAR_DEGENERATE, `Near-degenerate triangle: smallest angle ${smallest * angleUnits[mode]} - Results are sensitive to small changes of the input`,
+            parameters, { solution: result.solutions.length - 1 });
     }
-    for (let i = 1; i < order.length; i += 2) {
-        solution[order[i]] = modeOutConv * valArray[i];
+}
+
+/**
+ * Step of a derivation, see explain option of {@link solve}.
+ * @typedef {Object} derivationStep
+ * @property {string} rule - Applied rule, e.g. "law of sines"
+ * @property {string} formula - Formula with parameter names
+ * @property {string} substituted - Formula with the values inserted
+ * @property {Object} result - Calculated values, in the angle mode of the result
+ * @property {number} [solution] - Index of the solution (1 or 2) the step belongs to, only if there are two candidates
+ */
+
+/**
+ * Creates a recorder for the derivation steps of {@link solve}.
+ * Every method reads the current values from valArray, so it has to be called after a value was calculated.
+ * If explanation is null all methods do nothing.
+ * @param {Array} valArray
+ * @param {?Object} explanation Object with case and steps, filled by the recorder
+ * @param {string} mode Angle mode used for the recorded values
+ * @returns {Object}
+ */
+function createTrace(valArray, explanation, mode) {
+    const conv = angleUnits[mode];
+    const straight = straightAngles[mode];
+    let solutionIndex;
+    const name = (i) => { return order[i] };
+    const value = (i) => { return i % 2 == 1 ? conv * valArray[i] : valArray[i] };
+    const show = (i) => { return String(Number(value(i).toPrecision(10))) };
+    const opposite = (i) => { return (i + 3) % 6 };
+    /* template receives a function mapping an index to its name or value */
+    const push = (rule, target, template) => {
+        const step = { rule, formula: `${name(target)} = ${template(name)}`, substituted: `${name(target)} = ${template(show)}`, result: { [name(target)]: value(target) } };
+        if (solutionIndex !== undefined) {
+            step.solution = solutionIndex;
+        }
+        explanation.steps.push(step);
+    };
+    return {
+        setCase(type) {
+            if (explanation) {
+                explanation.case = type;
+            }
+        },
+        setSolution(index) {
+            solutionIndex = index;
+        },
+        angleSum(target) {
+            if (!explanation) { return; }
+            const [a1, a2] = [1, 3, 5].filter(i => { return i !== target });
+            push("angle sum", target, (n) => { return `${straight} - ${n(a1)} - ${n(a2)}` });
+        },
+        /* Half-angle tangent tan(A/2) = sqrt((s - b)(s - c) / (s(s - a))), evaluated with Kahan's formula (angleFromSides) */
+        halfAngleAngle(target) {
+            if (!explanation) { return; }
+            const [s1, s2, o] = [(target + 5) % 6, (target + 1) % 6, opposite(target)];
+            push("law of cosines, half-angle form", target, (n) => { return `2 * atan(sqrt((${n(o)} - ${n(s1)} + ${n(s2)}) * (${n(o)} + ${n(s1)} - ${n(s2)}) / ((${n(o)} + ${n(s1)} + ${n(s2)}) * (${n(s1)} + ${n(s2)} - ${n(o)}))))` });
+        },
+        /* c^2 = (a - b)^2 + 4ab sin^2(gamma/2), the law of cosines without cancellation for small angles */
+        halfAngleSide(target) {
+            if (!explanation) { return; }
+            const [s1, s2, o] = [(target + 2) % 6, (target + 4) % 6, opposite(target)];
+            push("law of cosines, half-angle form", target, (n) => { return `sqrt((${n(s1)} - ${n(s2)})^2 + 4 * ${n(s1)} * ${n(s2)} * sin(${n(o)} / 2)^2)` });
+        },
+        lawOfSinesSide(target, knownSide) {
+            if (!explanation) { return; }
+            push("law of sines", target, (n) => { return `${n(knownSide)} * sin(${n(opposite(target))}) / sin(${n(opposite(knownSide))})` });
+        },
+        lawOfSinesAngle(target, knownSide) {
+            if (!explanation) { return; }
+            push("law of sines", target, (n) => { return `asin(${n(opposite(target))} * sin(${n(opposite(knownSide))}) / ${n(knownSide)})` });
+        },
+        supplementaryAngle(target, knownSide) {
+            if (!explanation) { return; }
+            push("law of sines, supplementary angle", target, (n) => { return `${straight} - asin(${n(opposite(target))} * sin(${n(opposite(knownSide))}) / ${n(knownSide)})` });
+        },
+        /* Explains the number of solutions of the ambiguous case, target is the angle calculated by asin */
+        ambiguity(target, givenAngle, sine) {
+            if (!explanation) { return; }
+            const t = name(target);
+            const ambiguity = { sine, candidates: [] };
+            if (sine > 1) {
+                ambiguity.reason = `sin(${t}) = ${sine} > 1 is impossible, so no triangle exists.`;
+            } else {
+                const first = Math.asin(Math.min(sine, 1));
+                for (const candidate of sine === 1 ? [first] : [first, angleSum - first]) {
+                    ambiguity.candidates.push({ [t]: conv * candidate, valid: valArray[givenAngle] + candidate < angleSum });
+                }
+                const validCount = ambiguity.candidates.filter(c => { return c.valid }).length;
+                if (sine === 1) {
+                    ambiguity.reason = `sin(${t}) = 1, so ${t} is a right angle and there is exactly one triangle.`;
+                } else if (validCount === 2) {
+                    ambiguity.reason = `sin(${t}) = ${sine} is reached by ${t} and ${straight} - ${t}. Both leave room for the third angle, so there are two triangles.`;
+                } else if (validCount === 1) {
+                    ambiguity.reason = `sin(${t}) = ${sine} is reached by ${t} and ${straight} - ${t}. Only the smaller one leaves room for the third angle (${name(givenAngle)} + ${t} < ${straight}), so there is exactly one triangle.`;
+                } else {
+                    ambiguity.reason = `sin(${t}) = ${sine} is reached by ${t} and ${straight} - ${t}. Neither leaves room for the third angle (${name(givenAngle)} + ${t} >= ${straight}), so no triangle exists.`;
+                }
+            }
+            explanation.ambiguity = ambiguity;
+        },
+        /* Free form step, used for the numeric strategies */
+        note(rule, formula, substituted, result) {
+            if (!explanation) { return; }
+            const step = { rule, formula, substituted, result };
+            if (solutionIndex !== undefined) {
+                step.solution = solutionIndex;
+            }
+            explanation.steps.push(step);
+        }
+    };
+}
+
+/**
+ * Finds triangles for a combination of parameters which contains derived quantities like area, altitudes or radii.
+ * The shape of the triangle is searched numerically: one given angle leaves one free angle, no given angle leaves two.
+ * Solutions are added to the result object.
+ * @param {Array} valArray Validated side lengths and angles (radians), undefined if not given
+ * @param {Array.Object} knownDerived Given derived quantities, entries of derivedQuantities with an additional value
+ * @param {Object} result
+ * @param {number} parameterCount Number of given parameters
+ * @param {Object} trace Recorder for the derivation, see createTrace
+ * @returns {Object} result
+ */
+function solveDerived(valArray, knownDerived, result, parameterCount, trace) {
+    /* Angles in the order alpha, beta, gamma */
+    const givenAngles = [valArray[3], valArray[5], valArray[1]];
+    const knownAngles = givenAngles.map((x, i) => { return i }).filter(i => { return givenAngles[i] !== undefined });
+    /* Side lengths and derived quantities both scale with the triangle */
+    const lengths = [0, 2, 4]
+        .filter(i => { return valArray[i] !== undefined })
+        .map(i => { return { name: order[i], dimension: 1, unit: (sides) => sides[i / 2], value: valArray[i] } })
+        .concat(knownDerived);
+
+    const unitSides = (angles) => { return angles.map(x => { return 2 * Math.sin(x) }) };
+    /* Logarithm of the ratio between a quantity and the reference quantity, independent of the scale */
+    const reference = lengths[0];
+    const logRatio = (quantity, sides, angles) => {
+        return Math.log(quantity.unit(sides, angles)) / quantity.dimension - Math.log(reference.unit(sides, angles)) / reference.dimension;
+    };
+    const target = (quantity) => {
+        return Math.log(quantity.value) / quantity.dimension - Math.log(reference.value) / reference.dimension;
+    };
+    /* Texts for the derivation */
+    const conv = angleUnits[result.mode];
+    const angleNames = ["alpha", "beta", "gamma"];
+    const root = (quantity, text) => { return quantity.dimension === 1 ? text : `${text}^(1/${quantity.dimension})` };
+    const ratioText = (quantity, n) => { return `${root(quantity, n(quantity))} / ${root(reference, n(reference))}` };
+    const noteSearch = (quantities, free, roots) => {
+        trace.note("numeric root search",
+            quantities.map(q => { return `${ratioText(q, x => { return x.name })} = f(${free.join(", ")})` }).join(", "),
+            quantities.map(q => { return `${ratioText(q, x => { return x.value })} = f(${free.join(", ")})` }).join(", "),
+            { roots: roots.map(r => { return r.map(x => { return conv * x }) }) });
+    };
+
+    let shapes;
+    if (knownAngles.length >= 2) {
+        /* Shape is fixed by two angles */
+        const angles = givenAngles.slice();
+        const missing = [0, 1, 2].find(i => { return !knownAngles.slice(0, 2).includes(i) });
+        angles[missing] = angleSum - angles[knownAngles[0]] - angles[knownAngles[1]];
+        shapes = angles[missing] > 0 ? [angles] : [];
+        trace.note("angle sum",
+            `${angleNames[missing]} = ${straightAngles[result.mode]} - ${angleNames[knownAngles[0]]} - ${angleNames[knownAngles[1]]}`,
+            `${angleNames[missing]} = ${straightAngles[result.mode]} - ${conv * angles[knownAngles[0]]} - ${conv * angles[knownAngles[1]]}`,
+            { [angleNames[missing]]: conv * angles[missing] });
+    } else if (knownAngles.length === 1) {
+        /* One free angle next to the given one, the third angle follows from the angle sum */
+        const known = knownAngles[0];
+        const free = (known + 1) % 3;
+        const rest = angleSum - givenAngles[known];
+        const anglesAt = (t) => {
+            const angles = [];
+            angles[known] = givenAngles[known];
+            angles[free] = t;
+            angles[(known + 2) % 3] = rest - t;
+            return angles;
+        };
+        const roots = findRoots((t) => {
+            const angles = anglesAt(t);
+            return logRatio(lengths[1], unitSides(angles), angles) - target(lengths[1]);
+        }, 0, rest);
+        if (roots === null) {
+            return addError(result, errorCodes.DEPENDENT_PARAMETERS, `Unsolvable: Parameters are not independent, infinitely many triangles are possible.`, givenParameters(result));
+        }
+        noteSearch([lengths[1]], [angleNames[free]], roots.map(t => { return [t] }));
+        shapes = roots.map(anglesAt);
+    } else {
+        /* Two free angles alpha and beta */
+        const residuals = (alpha, beta) => {
+            const angles = [alpha, beta, angleSum - alpha - beta];
+            const sides = unitSides(angles);
+            return [
+                logRatio(lengths[1], sides, angles) - target(lengths[1]),
+                logRatio(lengths[2], sides, angles) - target(lengths[2])
+            ];
+        };
+        const inside = (alpha, beta) => { return alpha > 0 && beta > 0 && alpha + beta < angleSum };
+        const seeds = [];
+        const steps = 16;
+        for (let i = 1; i < steps; i++) {
+            for (let j = 1; i + j < steps; j++) {
+                seeds.push([i * angleSum / steps, j * angleSum / steps]);
+            }
+        }
+        const roots = findRoots2D(residuals, inside, seeds);
+        /* Dependent parameters have a Jacobian of rank 1 everywhere, consistent values leave a whole curve of solutions */
+        if (roots.length > 0 && jacobianRank(residuals, seeds) < 2) {
+            return addError(result, errorCodes.DEPENDENT_PARAMETERS, `Unsolvable: Parameters are not independent, infinitely many triangles are possible.`, givenParameters(result));
+        }
+        noteSearch([lengths[1], lengths[2]], ["alpha", "beta"], roots);
+        shapes = roots.map(([alpha, beta]) => { return [alpha, beta, angleSum - alpha - beta] });
     }
-    solution.area = 0.5 * valArray[0] * valArray[2] * Math.sin(valArray[1]);
 
-    solution.incircle = {
-        radius: incircleRadius(valArray[0], valArray[2], valArray[4])
+    if (shapes.length === 0) {
+        return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
+    }
+
+    /* Scale the unit triangles so the reference quantity matches. Roots which give the same side lengths are merged,
+    Newton converges slowly to roots with a singular Jacobian like equilateral triangles, so their angles differ more than the side lengths */
+    const triangles = [];
+    for (const angles of shapes) {
+        const sides = unitSides(angles);
+        const scale = (reference.value / reference.unit(sides, angles)) ** (1 / reference.dimension);
+        const solved = [scale * sides[0], angles[2], scale * sides[1], angles[0], scale * sides[2], angles[1]];
+        const same = (other) => { return [0, 2, 4].every(i => { return Math.abs(other.solved[i] - solved[i]) <= 1e-5 * Math.max(other.solved[i], solved[i]) }) };
+        if (!triangles.some(same)) {
+            triangles.push({ angles, scale, solved });
+        }
+    }
+    triangles.forEach(({ angles, scale, solved }, index) => {
+        if (triangles.length > 1) {
+            trace.setSolution(index + 1);
+        }
+        trace.note("scaling",
+            `a, b, c = ${root(reference, reference.name)} / ${root(reference, `${reference.name}(circumradius 1)`)} * 2 * sin(alpha, beta, gamma)`,
+            `a, b, c = ${scale} * 2 * sin(${angles.map(x => { return conv * x }).join(", ")})`,
+            { a: solved[0], b: solved[2], c: solved[4] });
+        addSolutionToResult(solved, result, parameterCount);
+    });
+    return result;
+}
+
+/**
+ * Inverts a square matrix with Gauss-Jordan elimination.
+ * @param {Array.Array.number} matrix
+ * @returns {?Array.Array.number} Inverse, null if the matrix is singular
+ */
+function invertMatrix(matrix) {
+    const n = matrix.length;
+    const m = matrix.map((row, i) => { return [...row, ...row.map((x, j) => { return i === j ? 1 : 0 })] });
+    for (let col = 0; col < n; col++) {
+        /* Partial pivoting */
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (!(Math.abs(m[pivot][col]) > 1e-300)) {
+            return null;
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        const p = m[col][col];
+        m[col] = m[col].map(x => { return x / p });
+        for (let row = 0; row < n; row++) {
+            if (row !== col && m[row][col] !== 0) {
+                const f = m[row][col];
+                m[row] = m[row].map((x, j) => { return x - f * m[col][j] });
+            }
+        }
+    }
+    return m.map(row => { return row.slice(n) });
+}
+
+/**
+ * Completes side lengths a, b, c with the angles.
+ * @param {Array.number} sides a, b, c
+ * @returns {?Array} valArray, null if the side lengths don't form a triangle
+ */
+function sidesToValArray([a, b, c]) {
+    const valArray = [a, undefined, b, undefined, c, undefined];
+    anglesFromSides(valArray);
+    if (![valArray[1], valArray[3], valArray[5]].every(x => { return x > 0 && x < angleSum })) {
+        return null;
+    }
+    return valArray;
+}
+
+/**
+ * Calculates the angles of a valArray from its three side lengths with Kahan's formula.
+ * The angle opposite of the longest side follows from the angle sum, so the small angles keep their precision.
+ * @param {Array} valArray Side lengths are read, angles are set
+ * @returns {Array.number} Indices of the angles in the order of calculation, the last one is calculated from the angle sum
+ */
+function anglesFromSides(valArray) {
+    /* Side c on ties, so the order is alpha, beta, gamma for most triangles */
+    const longest = [0, 2, 4].reduce((l, i) => { return valArray[i] > valArray[l] ? i : l }, 4);
+    const indices = [0, 2, 4].filter(i => { return i !== longest }).map(i => { return (i + 3) % 6 });
+    for (const i of indices) {
+        valArray[i] = angleFromSides(valArray[(i + 3) % 6], valArray[(i + 1) % 6], valArray[(i + 5) % 6]);
+    }
+    const last = (longest + 3) % 6;
+    valArray[last] = angleSum - valArray[indices[0]] - valArray[indices[1]];
+    return [...indices, last];
+}
+
+/* Limit for normalized residuals, larger ones are flagged as outliers (two-sided 99.9% of the normal distribution) */
+const outlierLimit = 3.29;
+
+/**
+ * Measurement with its least-squares result, see deviations option of {@link solve}.
+ * @typedef {Object} adjustedMeasurement
+ * @property {number} measured - Given value
+ * @property {number} adjusted - Value of the best-fitting triangle
+ * @property {number} residual - measured - adjusted
+ * @property {?number} normalized - Residual divided by its standard deviation, null if the measurement is not checked by the others
+ * @property {boolean} outlier - True if the measurement was rejected because |normalized| exceeded 3.29
+ */
+
+/**
+ * Finds the triangle which fits over-determined measurements best in the weighted least-squares sense.
+ * Minimizes the sum of ((measured - calculated) / deviation)^2 over the logarithms of the side lengths with the Levenberg-Marquardt method.
+ * Solutions of combinations of 3 measurements are used as starting points, so the global minimum is found for ambiguous cases.
+ * Outliers are found by data snooping: the measurement with the largest normalized residual above the limit is removed and the adjustment is repeated.
+ * @param {Array.Object} measurements Given parameters with name, key, calculate (calculates the value for a solution), value and deviation
+ * @param {Object} result
+ * @param {Object} trace Recorder for the derivation, see createTrace
+ * @returns {Object} result
+ */
+function adjustTriangle(measurements, result, trace) {
+    /* Weighted residuals of all measurements, null if the side lengths don't form a triangle */
+    const residuals = (logSides) => {
+        const valArray = sidesToValArray(logSides.map(Math.exp));
+        if (!valArray) {
+            return null;
+        }
+        const solution = createSolution(valArray, result.mode);
+        return measurements.map(m => { return (m.value - m.calculate(solution)) / m.deviation });
+    };
+    const cost = (r, active) => { return active.reduce((sum, i) => { return sum + r[i] * r[i] }, 0) };
+    /* Rows of the active measurements */
+    const jacobian = (logSides, active) => {
+        const h = 1e-6;
+        const columns = [0, 1, 2].map(k => {
+            const plus = logSides.slice();
+            const minus = logSides.slice();
+            plus[k] += h;
+            minus[k] -= h;
+            const rPlus = residuals(plus);
+            const rMinus = residuals(minus);
+            return rPlus && rMinus ? rPlus.map((x, i) => { return (x - rMinus[i]) / (2 * h) }) : null;
+        });
+        return columns.includes(null) ? null : active.map(i => { return columns.map(col => { return col[i] }) });
+    };
+    const normalMatrix = (J) => {
+        return [0, 1, 2].map(j => { return [0, 1, 2].map(k => { return J.reduce((sum, row) => { return sum + row[j] * row[k] }, 0) }) });
+    };
+    const fit = (seeds, active) => {
+        let best;
+        for (const seed of seeds) {
+            let x = seed;
+            let r = residuals(x);
+            if (!r) {
+                continue;
+            }
+            let lambda = 1e-3;
+            for (let iteration = 0; iteration < 100; iteration++) {
+                const J = jacobian(x, active);
+                if (!J) {
+                    break;
+                }
+                const N = normalMatrix(J);
+                const g = [0, 1, 2].map(j => { return J.reduce((sum, row, i) => { return sum + row[j] * r[active[i]] }, 0) });
+                let improved = false;
+                while (lambda < 1e10) {
+                    const inverse = invertMatrix(N.map((row, j) => { return row.map((v, k) => { return j === k ? v * (1 + lambda) : v }) }));
+                    if (inverse) {
+                        const step = inverse.map(row => { return -row.reduce((sum, v, k) => { return sum + v * g[k] }, 0) });
+                        const next = x.map((v, k) => { return v + step[k] });
+                        const rNext = residuals(next);
+                        if (rNext && cost(rNext, active) < cost(r, active)) {
+                            const converged = cost(r, active) - cost(rNext, active) <= 1e-14 * (1 + cost(r, active));
+                            [x, r] = [next, rNext];
+                            lambda = Math.max(lambda / 10, 1e-12);
+                            improved = !converged;
+                            break;
+                        }
+                    }
+                    lambda *= 10;
+                }
+                if (!improved) {
+                    break;
+                }
+            }
+            if (!best || cost(r, active) < best.cost) {
+                best = { x, r, cost: cost(r, active) };
+            }
+        }
+        return best;
     };
 
-    solution.circumcircle = {
-        radius: (valArray[0] / Math.sin(valArray[3])) / 2
+    /* Starting points from combinations of 3 measurements, basic ones are listed first */
+    const n = measurements.length;
+    const seeds = [];
+    for (let i = 0; i < n && seeds.length < 12; i++) {
+        for (let j = i + 1; j < n && seeds.length < 12; j++) {
+            for (let k = j + 1; k < n && seeds.length < 12; k++) {
+                const subset = { mode: result.mode, outputMode: result.mode };
+                for (const m of [measurements[i], measurements[j], measurements[k]]) {
+                    subset[m.key] = result[m.key];
+                }
+                for (const solution of solve(subset).solutions) {
+                    seeds.push([solution.a, solution.b, solution.c].map(Math.log));
+                }
+            }
+        }
+    }
+
+    let active = measurements.map((m, i) => { return i });
+    const outliers = [];
+    let best;
+    let normalized;
+    while (true) {
+        best = fit(seeds, active);
+        if (!best) {
+            return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
+        }
+        /* Redundancy numbers from the hat matrix J (J^T J)^-1 J^T, they tell how well a measurement is checked by the others */
+        const J = jacobian(best.x, active);
+        const inverse = J && invertMatrix(normalMatrix(J));
+        if (!inverse) {
+            return addError(result, errorCodes.DEPENDENT_PARAMETERS, `Unsolvable: Parameters are not independent, infinitely many triangles are possible.`, givenParameters(result));
+        }
+        normalized = [];
+        active.forEach((m, i) => {
+            const row = J[i];
+            const leverage = [0, 1, 2].reduce((sum, j) => { return sum + row[j] * [0, 1, 2].reduce((s2, k) => { return s2 + inverse[j][k] * row[k] }, 0) }, 0);
+            normalized[m] = 1 - leverage > 1e-9 ? best.r[m] / Math.sqrt(1 - leverage) : null;
+        });
+        const worst = active.reduce((w, m) => { return Math.abs(normalized[m] ?? 0) > Math.abs(normalized[w] ?? 0) ? m : w });
+        if (!(Math.abs(normalized[worst]) > outlierLimit)) {
+            break;
+        }
+        /* With a single redundant measurement all normalized residuals are equal, the outlier can't be located */
+        if (active.length - 3 < 2) {
+            active.filter(m => { return Math.abs(normalized[m]) > outlierLimit }).forEach(m => { outliers.push(m) });
+            break;
+        }
+        outliers.push(worst);
+        active = active.filter(m => { return m !== worst });
+        seeds.unshift(best.x);
+    }
+
+    const valArray = sidesToValArray(best.x.map(Math.exp));
+    const solution = createSolution(valArray, result.mode);
+    const adjustment = {
+        chiSquare: best.cost,
+        degreesOfFreedom: active.length - 3,
+        residuals: {},
+        outliers: outliers.map(m => { return measurements[m].name })
     };
-    solution.ha = (solution.b * solution.c) / (2 * solution.circumcircle.radius);
-    solution.hb = (solution.a * solution.c) / (2 * solution.circumcircle.radius);
-    solution.hc = (solution.a * solution.b) / (2 * solution.circumcircle.radius);
+    measurements.forEach((m, i) => {
+        const adjusted = m.calculate(solution);
+        adjustment.residuals[m.name] = {
+            measured: m.value,
+            adjusted,
+            residual: m.value - adjusted,
+            /* Removed measurements are not checked by the adjustment, their residual is only scaled */
+            normalized: active.includes(i) ? normalized[i] : best.r[i],
+            outlier: outliers.includes(i)
+        };
+    });
+    trace.note("least squares",
+        `minimize sum(((measured - calculated) / deviation)^2) for ${active.map(m => { return measurements[m].name }).join(", ")}`,
+        `chi^2 = ${best.cost} with ${active.length - 3} degrees of freedom`,
+        { a: solution.a, b: solution.b, c: solution.c });
+    result.adjustment = adjustment;
+    addSolutionToResult(valArray, result);
+    return result;
+}
 
-    result.solutions.push(solution);
+/* Scalar values of solutions which get an uncertainty, see tolerances of {@link solve} and {@link solvePoints} */
+const uncertainQuantities = order
+    .map(name => { return { name, get: (t) => t[name], calculate: (s) => s[name] } })
+    .concat(derivedQuantities.map(({ name, get, calculate }) => { return { name, get, calculate } }));
+
+/**
+ * Reads a value with tolerance.
+ * @param {*} value Plain value, {value, sigma} or [min, max]
+ * @param {function(*):number} [parse=Number] Reads a single number, e.g. an angle string
+ * @returns {?Object} undefined for plain values, {nominal, sigma} or {nominal, min, max}, null if the tolerance is malformed
+ */
+function parseTolerance(value, parse = Number) {
+    if (Array.isArray(value)) {
+        const [min, max] = value.map(x => { return x === null || x === "" ? NaN : parse(x) });
+        if (value.length !== 2 || !(min <= max)) {
+            return null;
+        }
+        return { nominal: (min + max) / 2, min, max };
+    }
+    if (typeof value === "object" && value !== null && "value" in value) {
+        const [nominal, sigma] = [value.value, value.sigma].map(x => { return x === null || x === "" ? NaN : parse(x) });
+        if (Number.isNaN(nominal) || !(sigma >= 0)) {
+            return null;
+        }
+        return { nominal, sigma };
+    }
+    return undefined;
+}
+
+/**
+ * Propagates tolerances of the inputs to the values of all solutions.
+ * Standard deviations are propagated linearly with numeric derivatives, inputs are assumed to be independent.
+ * Bounds are searched on the corners and midpoints of the box spanned by the intervals, extremes inside the box are refined by golden-section search.
+ * The possible numbers of solutions are sampled on the same grid, standard deviations span 3 sigma.
+ * Adds uncertainty to every solution and possibleSolutionCounts, solutionCountMayChange to the result.
+ * @param {Object} result Result of the nominal values
+ * @param {Array.Object} tolerances Parsed tolerances with name and angle flag
+ * @param {function(Array.number):Array.triangleSolution} evaluate Solves the triangle for the given input values
+ * @returns {Object} result
+ */
+function propagateUncertainty(result, tolerances, evaluate) {
+    const nominal = tolerances.map(t => { return t.nominal });
+    const sigmas = tolerances.map((t, i) => { return i }).filter(i => { return tolerances[i].sigma !== undefined });
+    const intervals = tolerances.map((t, i) => { return i }).filter(i => { return tolerances[i].min !== undefined });
+    const count = result.solutions.length;
+    const counts = new Set([count]);
+    const rightAngle = angleUnits[result.mode] * Math.PI / 2;
+
+    /* Grid of sample values for every input, a right angle is added because the sine is not monotonic there */
+    const samples = (i, withSigma) => {
+        const t = tolerances[i];
+        const [low, high] = t.sigma !== undefined ? (withSigma ? [t.nominal - 3 * t.sigma, t.nominal + 3 * t.sigma] : [t.nominal, t.nominal]) : [t.min, t.max];
+        const values = [...new Set([low, t.nominal, high])];
+        if (t.angle && low < rightAngle && rightAngle < high) {
+            values.push(rightAngle);
+        }
+        return values;
+    };
+    const grid = (indices, withSigma) => {
+        let points = [nominal];
+        for (const i of indices) {
+            /* Limit the grid to corners for many inputs */
+            const values = points.length * 3 > 4096 ? [...new Set(samples(i, withSigma).filter((v, j) => { return j !== 1 }))] : samples(i, withSigma);
+            points = points.flatMap(point => { return values.map(v => { const p = point.slice(); p[i] = v; return p }) });
+        }
+        return points;
+    };
+
+    /* Possible numbers of solutions */
+    for (const point of grid([...sigmas, ...intervals], true)) {
+        counts.add(evaluate(point).length);
+    }
+    result.possibleSolutionCounts = [...counts].sort((x, y) => { return x - y });
+    result.solutionCountMayChange = counts.size > 1;
+    if (count === 0) {
+        return result;
+    }
+
+    const uncertainties = result.solutions.map(() => {
+        return Object.fromEntries(uncertainQuantities.map(q => { return [q.name, {}] }));
+    });
+
+    /* Linear propagation of standard deviations */
+    if (sigmas.length > 0) {
+        const variances = result.solutions.map(() => { return uncertainQuantities.map(() => { return 0 }) });
+        for (const i of sigmas) {
+            const h = tolerances[i].sigma * 1e-4;
+            if (h === 0) {
+                continue;
+            }
+            const plus = nominal.slice();
+            const minus = nominal.slice();
+            plus[i] += h;
+            minus[i] -= h;
+            const [sPlus, sMinus] = [evaluate(plus), evaluate(minus)];
+            result.solutions.forEach((solution, s) => {
+                uncertainQuantities.forEach((q, k) => {
+                    /* One-sided difference if the solution vanishes on one side */
+                    const yPlus = sPlus.length === count ? q.calculate(sPlus[s]) : undefined;
+                    const yMinus = sMinus.length === count ? q.calculate(sMinus[s]) : undefined;
+                    const derivative = yPlus !== undefined && yMinus !== undefined ? (yPlus - yMinus) / (2 * h)
+                        : yPlus !== undefined ? (yPlus - q.calculate(solution)) / h
+                            : yMinus !== undefined ? (q.calculate(solution) - yMinus) / h : NaN;
+                    variances[s][k] += (derivative * tolerances[i].sigma) ** 2;
+                });
+            });
+        }
+        uncertainties.forEach((u, s) => {
+            uncertainQuantities.forEach((q, k) => { u[q.name].sigma = Math.sqrt(variances[s][k]) });
+        });
+    }
+
+    /* Bounds for intervals */
+    if (intervals.length > 0) {
+        const points = grid(intervals, false);
+        const values = points.map(point => { return evaluate(point) });
+        result.solutions.forEach((solution, s) => {
+            uncertainQuantities.forEach(q => {
+                const at = (solutions) => { return solutions.length === count ? q.calculate(solutions[s]) : NaN };
+                /* NaN marks a different number of solutions, it is never better */
+                for (const [bound, better] of [["min", (x, y) => { return x < y || Number.isNaN(y) && !Number.isNaN(x) }], ["max", (x, y) => { return x > y || Number.isNaN(y) && !Number.isNaN(x) }]]) {
+                    let best = q.calculate(solution);
+                    let bestPoint = nominal;
+                    values.forEach((solutions, j) => {
+                        const y = at(solutions);
+                        if (better(y, best)) {
+                            [best, bestPoint] = [y, points[j]];
+                        }
+                    });
+                    /* Extremes which are not on the boundary of an interval are refined along this input */
+                    for (const i of intervals) {
+                        const { min, max } = tolerances[i];
+                        if (bestPoint[i] === min || bestPoint[i] === max) {
+                            continue;
+                        }
+                        const f = (v) => { const p = bestPoint.slice(); p[i] = v; return at(evaluate(p)) };
+                        let [lo, hi] = [min, max];
+                        for (let j = 0; j < 40; j++) {
+                            const m1 = lo + (hi - lo) * 0.382;
+                            const m2 = hi - (hi - lo) * 0.382;
+                            if (better(f(m1), f(m2))) {
+                                hi = m2;
+                            } else {
+                                lo = m1;
+                            }
+                        }
+                        const y = f((lo + hi) / 2);
+                        if (better(y, best)) {
+                            best = y;
+                            bestPoint = bestPoint.slice();
+                            bestPoint[i] = (lo + hi) / 2;
+                        }
+                    }
+                    uncertainties[s][q.name][bound] = best;
+                }
+            });
+        });
+    }
+    result.solutions.forEach((solution, s) => { solution.uncertainty = uncertainties[s] });
     return result;
 }
 
@@ -112,7 +1010,22 @@ function addSolutionToResult(valArray, result, parameterCount = 3) {
  * @property {!number} [alpha] - Angle opposite of side a
  * @property {!number} [beta] - Angle opposite of side b
  * @property {!number} [gamma] - Angle opposite of side c
- * @property {string} [mode="deg"] - Specifies if angles are in degrees or radians
+ * @property {!number} [area] - Area of the triangle
+ * @property {!number} [perimeter] - Sum of all side lengths
+ * @property {!number} [ha] - Altitude on side a
+ * @property {!number} [hb] - Altitude on side b
+ * @property {!number} [hc] - Altitude on side c
+ * @property {!number} [ma] - Median on side a
+ * @property {!number} [mb] - Median on side b
+ * @property {!number} [mc] - Median on side c
+ * @property {{radius: number}} [incircle] - Incircle with given radius
+ * @property {{radius: number}} [circumcircle] - Circumcircle with given radius
+ * @property {string} [mode="deg"] - Angle unit of the given angles: "deg", "rad", "grad" or "turn". Angles can also be DMS strings or bearings, see {@link parseAngle}
+ * @property {string} [outputMode=mode] - Angle unit of the calculated angles
+ * @property {boolean} [explain=false] - Adds an explanation of the derivation to the result
+ * @property {Object} [deviations] - Standard deviations of the given parameters by name, more than 3 parameters are adjusted by least squares
+ * @property {{angleTolerance: number, sideTolerance: number}} [classification] - Tolerances of the classification, see {@link classifyTriangle}
+ * @property {boolean} [exact=false] - Adds exact values in symbolic form to every solution, side lengths can also be fractions like "3/2"
  */
 
 /**
@@ -125,10 +1038,33 @@ function addSolutionToResult(valArray, result, parameterCount = 3) {
  * @property {number} beta - Angle opposite of side b
  * @property {number} gamma - Angle opposite of side c
  * @property {number} area - The area of the triangle
+ * @property {number} perimeter - Sum of all side lengths
+ * @property {number} ha - Altitude on side a
+ * @property {number} hb - Altitude on side b
+ * @property {number} hc - Altitude on side c
+ * @property {number} ma - Median on side a
+ * @property {number} mb - Median on side b
+ * @property {number} mc - Median on side c
+ * @property {number} ta - Angle bisector from A to side a
+ * @property {number} tb - Angle bisector from B to side b
+ * @property {number} tc - Angle bisector from C to side c
  * @property {Circle} incircle - Inscribed circle of the the triangle (largest circle that fits inside triangle)
  * @property {Circle} circumcircle - Circumscribed circle of the the triangle (smallest Circle that passes through all vertices)
  * @property {Point} [centroid] - Geometric center of the triangle. Only calculated by {@link solvePoints}
- * 
+ * @property {Point} [orthocenter] - Intersection of the altitudes. Only calculated by {@link solvePoints}
+ * @property {{a: Point, b: Point, c: Point}} [altitudeFeet] - Feet of the altitudes on sides a, b and c. Only calculated by {@link solvePoints}
+ * @property {{a: Point, b: Point, c: Point}} [medianFeet] - Midpoints of sides a, b and c. Only calculated by {@link solvePoints}
+ * @property {{a: Point, b: Point, c: Point}} [bisectorFeet] - Feet of the angle bisectors on sides a, b and c. Only calculated by {@link solvePoints}
+ * @property {Circle} [ninePointCircle] - Circle through the side midpoints and altitude feet. Only calculated by {@link solvePoints}
+ * @property {?Line} [eulerLine] - Line through circumcenter, centroid and orthocenter, null for equilateral triangles. Only calculated by {@link solvePoints}
+ * @property {{a: Circle, b: Circle, c: Circle}} [excircles] - Circles tangent to side a, b or c and the extensions of the other two sides. Only calculated by {@link solvePoints}
+ * @property {string} [winding] - "ccw" if A, B, C are counterclockwise, otherwise "cw". Only calculated by {@link solvePoints} for two-dimensional Points
+ * @property {Point} [normal] - Unit normal of the triangle (right-hand rule for A, B, C). Only calculated by {@link solvePoints} for three-dimensional Points
+ * @property {{a: number, b: number, c: number, d: number}} [plane] - Plane of the triangle, a*x + b*y + c*z + d = 0. Only calculated by {@link solvePoints} for three-dimensional Points
+ * @property {triangleClassification} classification - Angle and side type and shape metrics, see {@link classifyTriangle}
+ * @property {Object.<string, exactValue>} [exact] - Exact values of side lengths, angles and derived quantities, only with the exact option of {@link solve}
+ * @property {Object.<string, {sigma: number, min: number, max: number}>} [uncertainty] - Propagated standard deviation and/or bounds of every value, only if tolerances were given
+ *
 */
 
 /**
@@ -138,19 +1074,51 @@ function addSolutionToResult(valArray, result, parameterCount = 3) {
  * @property {Array.<triangleSolution>} a - Array of possible solutions
  * @property {string} mode - Specifies if angles are in degrees or radians
  * @property {?string} error - If no solution could be found this string explains the reason
+ * @property {{case: string, steps: Array.<derivationStep>, ambiguity: ?Object}} [explanation] - Solving strategy and derivation steps, only if explain was set
+ * @property {Array.number} [possibleSolutionCounts] - Numbers of solutions within the tolerances, only if tolerances were given
+ * @property {boolean} [solutionCountMayChange] - True if the number of solutions could change within the tolerances
+ * @property {Array.solveError} [warnings] - E.g. NEAR_DEGENERATE if a solution has an angle below 1e-6 radians, with the index of the solution
+ * @property {{chiSquare: number, degreesOfFreedom: number, residuals: Object.<string, adjustedMeasurement>, outliers: Array.string}} [adjustment] - Least-squares adjustment, only if deviations were given for more than 3 parameters
 */
 
 /**
  * Finds missing side lengths and angles of incomplete triangle definition. 
  * There can be 0, 1 or 2 possible solutions. 
- * Input Object must contain a minimum of 3 side length/angles, at least one of which must be a side length.
+ * Input Object must contain a minimum of 3 parameters, at least one of which must be a side length or a derived quantity like area, perimeter, altitude, median or radius.
+ * Combinations with derived quantities are solved numerically.
+ * Values can be given with a tolerance, either {value, sigma} or [min, max]. The uncertainty of every solution is then propagated.
  * @example
  * let solved = solve({a:1, b:2, gamma:30, mode:"deg"});
+ * let solved2 = solve({area:12, c:5, gamma:40});
+ * let solved3 = solve({a:{value:3, sigma:0.01}, b:[3.99, 4.01], c:5});
  * @param {triangleToSolve} triangleToSolve 
  * @returns {solveResult} 
  */
-export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
-    const result = { a, b, c, alpha, beta, gamma, mode, solutions: [] };
+export function solve({ a, b, c, alpha, beta, gamma, area, perimeter, ha, hb, hc, ma, mb, mc, incircle, circumcircle, mode = "deg", outputMode = mode, explain = false, deviations, classification, exact = false }) {
+    /* Solutions are classified with the default tolerances, given tolerances are applied afterwards */
+    if (classification !== undefined) {
+        const result = solve({ a, b, c, alpha, beta, gamma, area, perimeter, ha, hb, hc, ma, mb, mc, incircle, circumcircle, mode, outputMode, explain, deviations, exact });
+        for (const solution of result.solutions) {
+            solution.classification = classifyTriangle(solution, { ...classification, mode: result.outputMode });
+        }
+        return result;
+    }
+    /* Exact values are added to the floating point solutions, which are solved with fraction strings like "3/2" as numbers */
+    if (exact) {
+        const given = { a, b, c, alpha, beta, gamma };
+        const numeric = Object.fromEntries(Object.entries(given).map(([name, value]) => { return [name, fractionToNumber(value)] }));
+        const result = solve({ ...numeric, area, perimeter, ha, hb, hc, ma, mb, mc, incircle, circumcircle, mode, outputMode, explain, deviations });
+        for (const name of Object.keys(given).filter(name => { return result[name] !== undefined })) {
+            result[name] = given[name];
+        }
+        result.exact = true;
+        const derived = derivedQuantities.filter(q => { return q.get(result) !== undefined }).map(q => { return q.name });
+        const reason = derived.length > 0 ? `derived quantities can't be solved exactly: ${derived.join(", ")}`
+            : deviations !== undefined ? "least squares adjustment of deviations"
+                : Object.values(given).some(value => { return typeof value === "object" && value !== null }) ? "values with tolerances" : null;
+        return result.error === undefined ? addExactValues(result, given, reason) : result;
+    }
+    const result = { a, b, c, alpha, beta, gamma, area, perimeter, ha, hb, hc, ma, mb, mc, incircle, circumcircle, mode, outputMode, deviations, solutions: [] };
     /* Remove undefined parameters */
     Object.keys(result).forEach(
         (p) => {
@@ -158,6 +1126,60 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
                 delete result[p];
             }
         });
+
+    /* Setting angle modes for input and output, angles are converted to radian */
+    const knownMode = checkMode(result, mode);
+    if (outputMode !== mode) {
+        checkMode(result, outputMode, "outputMode");
+    }
+    const modeInConv = 1 / angleUnits[mode];
+
+    /* Values with tolerances are solved with their nominal values, the uncertainty is propagated afterwards */
+    const tolerances = [];
+    for (const { name, get } of uncertainQuantities) {
+        const value = get(result);
+        const angle = order.indexOf(name) % 2 === 1;
+        /* Angles can only be read with a known mode */
+        if (angle && !knownMode) {
+            continue;
+        }
+        const tolerance = parseTolerance(value, angle ? (x) => { return parseAngle(x, mode) } : Number);
+        if (tolerance === null) {
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${name} = ${JSON.stringify(value)} - Tolerances must be {value, sigma} with sigma >=0 or [min, max] with min <= max`, [name]);
+        } else if (tolerance) {
+            tolerances.push({ ...tolerance, name, angle });
+        }
+    }
+    if (result.errors) {
+        return result;
+    }
+    if (tolerances.length > 0) {
+        /* Parameters with the given values inserted, radii are nested */
+        const withValues = (values) => {
+            const params = { ...result, explain: false, incircle: result.incircle && { ...result.incircle }, circumcircle: result.circumcircle && { ...result.circumcircle } };
+            tolerances.forEach((t, i) => {
+                const [key, nested] = t.name.split(".");
+                if (nested) {
+                    params[key][nested] = values[i];
+                } else {
+                    params[key] = values[i];
+                }
+            });
+            return params;
+        };
+        const nominal = tolerances.map(t => { return t.nominal });
+        const solved = solve({ ...withValues(nominal), explain });
+        for (const key of ["solutions", "error", "errors", "explanation", "adjustment"]) {
+            if (solved[key] !== undefined) {
+                result[key] = solved[key];
+            }
+        }
+        /* Without a nominal solution only the possible numbers of solutions are of interest */
+        if (result.errors && result.errors.some(e => { return e.code !== errorCodes.NO_SOLUTION })) {
+            return result;
+        }
+        return propagateUncertainty(result, tolerances, (values) => { return solve(withValues(values)).solutions });
+    }
     /* Array which holds given and calculated values. */
     const valArray = [result.a, result.gamma, result.b, result.alpha, result.c, result.beta];
     /* Amount of given sidelengths/angles, used for finding solving strategy */
@@ -167,23 +1189,15 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
     let firstSide = -1;
     let firstAngle = -1;
 
-    /* Setting angle mode, angles in degrees are converted to radian*/
-    let modeInConv;
-    if (mode !== "deg" && mode !== "rad") {
-        result.error = `Unknown mode: ${mode} - Must be "deg" or "rad"`
-        return result;
-    }
-    modeInConv = mode === "deg" ? toRad : 1;
-
-    /* Validation and analysis of input parameters, also conversion of angle values */
+    /* Validation and analysis of input parameters, also conversion of angle values. All illegal values are reported. */
     for (let i = 0; i < valArray.length; i += 2) {
         if (typeof valArray[i] == "undefined") {
             continue;
         }
         const num = Number(valArray[i]);
         if (Number.isNaN(num) || num <= 0) {
-            result.error = `Illegal value: ${order[i]} = ${valArray[i]} - All side lengths must be numbers >0`;
-            return result;
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${order[i]} = ${valArray[i]} - All side lengths must be numbers >0`, [order[i]]);
+            continue;
         }
         valArray[i] = num;
         if (firstSide < 0) {
@@ -192,14 +1206,15 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
         sideCount++;
     }
 
-    for (let i = 1; i < valArray.length; i += 2) {
+    /* Angles can only be checked with a known mode */
+    for (let i = 1; i < valArray.length && knownMode; i += 2) {
         if (typeof valArray[i] == "undefined") {
             continue;
         }
-        const num = Number(valArray[i]) * modeInConv;
+        const num = parseAngle(valArray[i], mode) * modeInConv;
         if (Number.isNaN(num) || num <= 0 || num >= angleSum) {
-            result.error = `Illegal value: ${order[i]} = ${valArray[i]} - All angle values must be numbers >0 and <180(deg) | <Pi*2(rad)`;
-            return result;
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${order[i]} = ${valArray[i]} - All angle values must be numbers >0 and <${angleSum * angleUnits[mode]}(${mode})`, [order[i]]);
+            continue;
         }
         valArray[i] = num;
         if (firstAngle < 0) {
@@ -207,30 +1222,87 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
         }
         angleCount++;
     }
-    const parameterCount = angleCount + sideCount;
+
+    /* Validation of derived quantities */
+    const knownDerived = [];
+    for (const quantity of derivedQuantities) {
+        if (result[quantity.key] === undefined) {
+            continue;
+        }
+        const value = quantity.get(result);
+        const num = Number(value);
+        if (value === undefined || value === "" || value === null || Number.isNaN(num) || num <= 0) {
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${quantity.name} = ${value} - All derived values must be numbers >0`, [quantity.name]);
+            continue;
+        }
+        knownDerived.push({ ...quantity, value: num });
+    }
+
+    /* Validation of standard deviations, every given parameter needs one */
+    const measurements = [];
+    if (deviations !== undefined) {
+        if (typeof deviations !== "object" || deviations === null) {
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: deviations = ${deviations} - Must be an Object with standard deviations of the given parameters`, ["deviations"]);
+        } else {
+            const given = order
+                .filter((name, i) => { return typeof valArray[i] === "number" })
+                .map(name => { return { name, key: name, calculate: (s) => s[name], value: order.indexOf(name) % 2 === 1 ? parseAngle(result[name], mode) : Number(result[name]) } })
+                .concat(knownDerived);
+            for (const parameter of given) {
+                const deviation = deviations[parameter.key];
+                /* Deviations of angles can be DMS strings as well */
+                const num = order.indexOf(parameter.key) % 2 === 1 ? parseAngle(deviation, mode) : Number(deviation);
+                if (deviation === undefined || deviation === null || deviation === "" || Number.isNaN(num) || num <= 0) {
+                    addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: deviations.${parameter.key} = ${deviation} - Standard deviations must be numbers >0 for every given parameter`, [`deviations.${parameter.key}`]);
+                    continue;
+                }
+                measurements.push({ ...parameter, deviation: num });
+            }
+        }
+    }
+    if (result.errors) {
+        return result;
+    }
+    const parameterCount = angleCount + sideCount + knownDerived.length;
+
+    /* Optional record of the derivation */
+    if (explain) {
+        result.explanation = { case: undefined, steps: [] };
+    }
+    const trace = createTrace(valArray, explain ? result.explanation : null, mode);
 
     //Too few parameters - impossible to solve
     if (parameterCount < 3) {
-        result.error = `Unsolvable: At least 3 parameters must be given, inluding one side length.`
-        return result;
+        return addError(result, errorCodes.TOO_FEW_PARAMETERS, `Unsolvable: At least 3 parameters must be given, inluding one side length.`, givenParameters(result));
     }
 
     //No side lengths - impossible to solve
-    if (sideCount === 0) {
-        result.error = `Unsolvable: At least one parameter must be a side length`
-        return result;
+    if (sideCount === 0 && knownDerived.length === 0) {
+        return addError(result, errorCodes.TOO_FEW_PARAMETERS, `Unsolvable: At least one parameter must be a side length`, givenParameters(result));
+    }
+
+    //More parameters than necessary with standard deviations - best fit
+    if (measurements.length > 3) {
+        trace.setCase("least squares");
+        return adjustTriangle(measurements, result, trace);
+    }
+
+    //Side lengths and angles are not sufficient, derived quantities are needed
+    if (sideCount === 0 || sideCount + angleCount < 3) {
+        trace.setCase("derived");
+        return solveDerived(valArray, knownDerived, result, parameterCount, trace);
     }
 
     /* Determining type of problem and solving */
     //SSS
     if (sideCount === 3) {
-        //result.debug="SSS";
-        valArray[3] = Math.acos((b ** 2 + c ** 2 - a ** 2) / (2 * b * c));
-        valArray[5] = Math.acos((a ** 2 + c ** 2 - b ** 2) / (2 * a * c));
-        valArray[1] = angleSum - valArray[3] - valArray[5];
+        trace.setCase("SSS");
+        const [first, second, last] = anglesFromSides(valArray);
+        trace.halfAngleAngle(first);
+        trace.halfAngleAngle(second);
+        trace.angleSum(last);
         if (valArray.some(x => { return !x })) {
-            result.error = `Unsolvable: Impossible combination of side lengths: ${[a, b, c].join(", ")}`;
-            return result;
+            return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: Impossible combination of side lengths: ${[a, b, c].join(", ")}`, ["a", "b", "c"]);
         }
         addSolutionToResult(valArray, result, parameterCount);
         return result;
@@ -238,13 +1310,16 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
 
     //ASA
     if (valArray[(firstSide + 5) % 6] && valArray[(firstSide + 1) % 6]) {
-        //result.debug="ASA";
+        trace.setCase("ASA");
         /* Missing Angle */
         const thirdAngleIndex = (firstSide + 3) % 6;
         valArray[thirdAngleIndex] = angleSum - valArray[(firstSide + 5) % 6] - valArray[(firstSide + 1) % 6];
+        trace.angleSum(thirdAngleIndex);
         /* Missing Sides */
         valArray[(firstSide + 2) % 6] = valArray[firstSide] * (Math.sin(valArray[(firstSide + 5) % 6]) / Math.sin(valArray[thirdAngleIndex]));
+        trace.lawOfSinesSide((firstSide + 2) % 6, firstSide);
         valArray[(firstSide + 4) % 6] = valArray[firstSide] * (Math.sin(valArray[(firstSide + 7) % 6]) / Math.sin(valArray[thirdAngleIndex]));
+        trace.lawOfSinesSide((firstSide + 4) % 6, firstSide);
 
         addSolutionToResult(valArray, result, parameterCount);
         return result;
@@ -252,15 +1327,20 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
 
     //SAS
     if (valArray[(firstAngle + 5) % 6] && valArray[(firstAngle + 1) % 6]) {
-        //result.debug="SAS";
+        trace.setCase("SAS");
         /* Missing Sides */
         const side1 = valArray[(firstAngle + 5) % 6];
         const side2 = valArray[(firstAngle + 1) % 6];
-        const side3 = Math.sqrt(side1 ** 2 + side2 ** 2 - 2 * side1 * side2 * Math.cos(valArray[firstAngle]));
+        /* Law of cosines with the half angle, no cancellation for small angles */
+        const side3 = Math.sqrt((side1 - side2) ** 2 + 4 * side1 * side2 * Math.sin(valArray[firstAngle] / 2) ** 2);
         valArray[(firstAngle + 3) % 6] = side3;
-        /* Missing Angles */
-        valArray[(firstAngle + 2) % 6] = Math.acos((side3 ** 2 + side2 ** 2 - side1 ** 2) / (2 * side3 * side2));
-        valArray[(firstAngle + 4) % 6] = angleSum - valArray[(firstAngle + 2) % 6] - valArray[firstAngle];
+        trace.halfAngleSide((firstAngle + 3) % 6);
+        /* Missing Angles, the smaller one directly and the larger one from the angle sum */
+        const [direct, fromSum] = side1 <= side2 ? [(firstAngle + 2) % 6, (firstAngle + 4) % 6] : [(firstAngle + 4) % 6, (firstAngle + 2) % 6];
+        valArray[direct] = angleFromSides(valArray[(direct + 3) % 6], valArray[(direct + 1) % 6], valArray[(direct + 5) % 6]);
+        trace.halfAngleAngle(direct);
+        valArray[fromSum] = angleSum - valArray[direct] - valArray[firstAngle];
+        trace.angleSum(fromSum);
 
         addSolutionToResult(valArray, result, parameterCount);
         return result;
@@ -268,12 +1348,15 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
 
     //SAA
     if (valArray[(firstSide + 1) % 6] && valArray[(firstSide + 3) % 6]) {
-        //result.debug="SAA";
+        trace.setCase("SAA");
         /* Missing Angle */
         valArray[(firstSide + 5) % 6] = angleSum - valArray[(firstSide + 1) % 6] - valArray[(firstSide + 3) % 6];
+        trace.angleSum((firstSide + 5) % 6);
         /* Missing Sides */
         valArray[(firstSide + 2) % 6] = valArray[firstSide] * (Math.sin(valArray[(firstSide + 5) % 6]) / Math.sin(valArray[(firstSide + 3) % 6]));
+        trace.lawOfSinesSide((firstSide + 2) % 6, firstSide);
         valArray[(firstSide + 4) % 6] = valArray[firstSide] * (Math.sin(valArray[(firstSide + 7) % 6]) / Math.sin(valArray[(firstSide + 3) % 6]));
+        trace.lawOfSinesSide((firstSide + 4) % 6, firstSide);
 
 
         addSolutionToResult(valArray, result, parameterCount);
@@ -282,12 +1365,15 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
 
     //AAS
     if (valArray[(firstSide + 5) % 6] && valArray[(firstSide + 3) % 6]) {
-        //result.debug="ASS";
+        trace.setCase("AAS");
         /* Missing Angle */
         valArray[(firstSide + 1) % 6] = angleSum - valArray[(firstSide + 5) % 6] - valArray[(firstSide + 3) % 6];
+        trace.angleSum((firstSide + 1) % 6);
         /* Missing Sides */
         valArray[(firstSide + 2) % 6] = valArray[firstSide] * (Math.sin(valArray[(firstSide + 5) % 6]) / Math.sin(valArray[(firstSide + 3) % 6]));
+        trace.lawOfSinesSide((firstSide + 2) % 6, firstSide);
         valArray[(firstSide + 4) % 6] = valArray[firstSide] * (Math.sin(valArray[(firstSide + 7) % 6]) / Math.sin(valArray[(firstSide + 3) % 6]));
+        trace.lawOfSinesSide((firstSide + 4) % 6, firstSide);
 
         addSolutionToResult(valArray, result, parameterCount);
         return result;
@@ -295,15 +1381,16 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
 
     //SSA - if middle side is longer than outer side two solutions may exist
     if (valArray[(firstAngle + 5) % 6] && valArray[(firstAngle + 3) % 6]) {
-        //result.debug="SSA";
+        trace.setCase("SSA");
         const s1 = valArray[(firstAngle + 3) % 6];
         const s2 = valArray[(firstAngle + 5) % 6];
         const angle = valArray[firstAngle];
 
         const D = (s2 / s1) * Math.sin(angle);
-        if (D > 1) {
-            result.error = `Unsolvable: No solution is possible for given parameters.`//`Unsolvable: Impossible combination of parameters: {${order[(firstAngle + 5) % 6]}:${valArray[(firstAngle + 5) % 6]}, ${order[(firstAngle + 3) % 6]}:${valArray[(firstAngle + 3) % 6]}, ${order[firstAngle]}:${valArray[firstAngle]}}`
-            return result;
+        trace.ambiguity((firstAngle + 2) % 6, firstAngle, D);
+        /* Equal sides need equal acute angles, otherwise the third angle would be 0 */
+        if (D > 1 || (s1 === s2 && angle >= angleSum / 2)) {
+            return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
         }
         if (s1 >= s2) {
             /* Missing Angles */
@@ -312,28 +1399,39 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
             } else {
                 valArray[(firstAngle + 2) % 6] = Math.asin(D);
             }
+            trace.lawOfSinesAngle((firstAngle + 2) % 6, (firstAngle + 3) % 6);
             valArray[(firstAngle + 4) % 6] = angleSum - angle - valArray[(firstAngle + 2) % 6];
+            trace.angleSum((firstAngle + 4) % 6);
             /* Missing Side */
             valArray[(firstAngle + 1) % 6] = s1 * (Math.sin(valArray[(firstAngle + 4) % 6]) / Math.sin(angle));
+            trace.lawOfSinesSide((firstAngle + 1) % 6, (firstAngle + 3) % 6);
 
             addSolutionToResult(valArray, result, parameterCount);
         } else {
             const mysteryAngle = Math.asin(D);
             //First Solution
+            trace.setSolution(1);
             /* Missing Angles */
             valArray[(firstAngle + 2) % 6] = mysteryAngle;
+            trace.lawOfSinesAngle((firstAngle + 2) % 6, (firstAngle + 3) % 6);
             valArray[(firstAngle + 4) % 6] = angleSum - angle - valArray[(firstAngle + 2) % 6];
+            trace.angleSum((firstAngle + 4) % 6);
             /* Missing Side */
             valArray[(firstAngle + 1) % 6] = s1 * (Math.sin(valArray[(firstAngle + 4) % 6]) / Math.sin(angle));
+            trace.lawOfSinesSide((firstAngle + 1) % 6, (firstAngle + 3) % 6);
 
             addSolutionToResult(valArray, result, parameterCount);
 
             //Second Solution
+            trace.setSolution(2);
             /* Missing Angles */
             valArray[(firstAngle + 2) % 6] = angleSum - mysteryAngle;
+            trace.supplementaryAngle((firstAngle + 2) % 6, (firstAngle + 3) % 6);
             valArray[(firstAngle + 4) % 6] = angleSum - angle - valArray[(firstAngle + 2) % 6];
+            trace.angleSum((firstAngle + 4) % 6);
             /* Missing Side */
             valArray[(firstAngle + 1) % 6] = s1 * (Math.sin(valArray[(firstAngle + 4) % 6]) / Math.sin(angle));
+            trace.lawOfSinesSide((firstAngle + 1) % 6, (firstAngle + 3) % 6);
 
             addSolutionToResult(valArray, result, parameterCount);
         }
@@ -342,15 +1440,16 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
 
     //ASS - if middle side is longer than outer side two solutions may exist
     if (valArray[(firstAngle + 1) % 6] && valArray[(firstAngle + 3) % 6]) {
-        //result.debug="ASS";
+        trace.setCase("ASS");
         const angle = valArray[firstAngle];
         const s1 = valArray[(firstAngle + 3) % 6];
         const s2 = valArray[(firstAngle + 1) % 6];
         /* Missing Angles */
         const D = (s2 / s1) * Math.sin(angle);
-        if (D > 1) {
-            result.error = `Unsolvable: No solution is possible for given parameters.`//`Unsolvable: Impossible combination of parameters: {${order[(firstAngle + 5) % 6]}:${valArray[(firstAngle + 5) % 6]}, ${order[(firstAngle + 3) % 6]}:${valArray[(firstAngle + 3) % 6]}, ${order[firstAngle]}:${valArray[firstAngle]}}`
-            return result;
+        trace.ambiguity((firstAngle + 4) % 6, firstAngle, D);
+        /* Equal sides need equal acute angles, otherwise the third angle would be 0 */
+        if (D > 1 || (s1 === s2 && angle >= angleSum / 2)) {
+            return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
         }
         if (s1 >= s2) {
             /* Missing Angles */
@@ -359,28 +1458,39 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
             } else {
                 valArray[(firstAngle + 4) % 6] = Math.asin(D);
             }
+            trace.lawOfSinesAngle((firstAngle + 4) % 6, (firstAngle + 3) % 6);
             valArray[(firstAngle + 2) % 6] = angleSum - angle - valArray[(firstAngle + 4) % 6];
+            trace.angleSum((firstAngle + 2) % 6);
             /* Missing Side */
             valArray[(firstAngle + 5) % 6] = s1 * (Math.sin(valArray[(firstAngle + 2) % 6]) / Math.sin(angle));
+            trace.lawOfSinesSide((firstAngle + 5) % 6, (firstAngle + 3) % 6);
 
             addSolutionToResult(valArray, result, parameterCount);
         } else {
             const mysteryAngle = Math.asin(D);
             //First Solution
+            trace.setSolution(1);
             /* Missing Angles */
             valArray[(firstAngle + 4) % 6] = mysteryAngle;
+            trace.lawOfSinesAngle((firstAngle + 4) % 6, (firstAngle + 3) % 6);
             valArray[(firstAngle + 2) % 6] = angleSum - angle - valArray[(firstAngle + 4) % 6];
+            trace.angleSum((firstAngle + 2) % 6);
             /* Missing Side */
             valArray[(firstAngle + 5) % 6] = s1 * (Math.sin(valArray[(firstAngle + 2) % 6]) / Math.sin(angle));
+            trace.lawOfSinesSide((firstAngle + 5) % 6, (firstAngle + 3) % 6);
 
             addSolutionToResult(valArray, result, parameterCount);
 
             //Second Solution
+            trace.setSolution(2);
             /* Missing Angles */
             valArray[(firstAngle + 4) % 6] = angleSum - mysteryAngle;
+            trace.supplementaryAngle((firstAngle + 4) % 6, (firstAngle + 3) % 6);
             valArray[(firstAngle + 2) % 6] = angleSum - angle - valArray[(firstAngle + 4) % 6];
+            trace.angleSum((firstAngle + 2) % 6);
             /* Missing Side */
             valArray[(firstAngle + 5) % 6] = s1 * (Math.sin(valArray[(firstAngle + 2) % 6]) / Math.sin(angle));
+            trace.lawOfSinesSide((firstAngle + 5) % 6, (firstAngle + 3) % 6);
 
             addSolutionToResult(valArray, result, parameterCount);
         }
@@ -394,31 +1504,33 @@ export function solve({ a, b, c, alpha, beta, gamma, mode = "deg" }) {
  * @typedef  {Object} Point
  * @property {number} x
  * @property {number} y
+ * @property {number} [z] - Only for three-dimensional Points
 */
 
 /**
  * Converts Point to arrray-based Point
  * @param {Point} point 
- * @returns {Array.number} [x, y] 
+ * @returns {Array.number} [x, y] or [x, y, z] for three-dimensional Points
  */
 function pointToArray(point) {
     if (!checkCoordinate(point)) {
         return null;
     }
     if (Array.isArray(point)) {
-        return point;
+        return point.length >= 3 ? [point[0], point[1], point[2]] : [point[0], point[1]];
     }
     if ("x" in point) {
-        return [point.x, point.y];
+        return "z" in point ? [point.x, point.y, point.z] : [point.x, point.y];
     }
     if ("X" in point) {
-        return [point.X, point.Y];
+        return "Z" in point ? [point.X, point.Y, point.Z] : [point.X, point.Y];
     }
     return null;
 }
 
 /**
- * Distance between a pair of two-dimensional Points.
+ * Distance between a pair of two- or three-dimensional Points.
+ * A missing z coordinate is treated as 0.
  * @example  distance([-2, -2], [2, 1]) == 5
  * @param {Point} p1 First Point
  * @param {Point} p2 Second Point
@@ -430,7 +1542,26 @@ export function distance(p1, p2) {
     if (p1 === null || p2 === null) {
         return null;
     }
-    return Math.hypot(p1[0] - p2[0], p1[1] - p2[1]);
+    return Math.hypot(p1[0] - p2[0], p1[1] - p2[1], (p1[2] ?? 0) - (p2[2] ?? 0));
+}
+
+/**
+ * Orientation of three Points in the plane, from the exact sign of the cross product (B - A) x (C - A).
+ * Unlike the floating point cross product it never misses collinear Points or reports the wrong orientation for nearly collinear ones.
+ * z coordinates are ignored.
+ * @example orientation([0, 0], [1, 0], [0, 1]) == 1
+ * @param {Point} A
+ * @param {Point} B
+ * @param {Point} C
+ * @returns {?number} 1 if counterclockwise, -1 if clockwise, 0 if collinear, null if a Point is invalid
+ */
+export function orientation(A, B, C) {
+    const points = [A, B, C].map(pointToArray);
+    if (points.some(p => { return p === null || !Number.isFinite(Number(p[0])) || !Number.isFinite(Number(p[1])) })) {
+        return null;
+    }
+    const [a, b, c] = points.map(p => { return [Number(p[0]), Number(p[1])] });
+    return orient2d(a[0], a[1], b[0], b[1], c[0], c[1]);
 }
 
 
@@ -444,13 +1575,13 @@ function checkCoordinate(p) {
         return false;
     }
     if (Array.isArray(p) && p.length >= 2) {
-        return !isNaN(p[0]) && !isNaN(p[1]);
+        return !isNaN(p[0]) && !isNaN(p[1]) && (p.length < 3 || !isNaN(p[2]));
     }
     if ("x" in p && "y" in p) {
-        return !isNaN(p.x) && !isNaN(p.y);
+        return !isNaN(p.x) && !isNaN(p.y) && (!("z" in p) || !isNaN(p.z));
     }
     if ("X" in p && "Y" in p) {
-        return !isNaN(p.X) && !isNaN(p.Y);
+        return !isNaN(p.X) && !isNaN(p.Y) && (!("Z" in p) || !isNaN(p.Z));
     }
     return false;
 }
@@ -458,20 +1589,25 @@ function checkCoordinate(p) {
 /**
  * Converts barycentric coordinates on a triangle to cartesian coordinates.
  * Needs 3 Points and 
+ * If one of the Points is three-dimensional the result is three-dimensional as well.
  * @param {Point} p1 
  * @param {Point} p2 
  * @param {Point} p3 
  * @param {Array.number} bary 
  * @returns {Point}
  */
-function barycentricToCartesian(p1, p2, p3, bary) {
+function weightedPoint(p1, p2, p3, bary) {
     const barSum = bary.reduce((s, c) => { return s + c }, 0);
     const hom = bary.map((c) => { return c / barSum });
     const valArray = [pointToArray(p1), pointToArray(p2), pointToArray(p3)];
-    return {
+    const point = {
         x: valArray.reduce((s, c, i) => { return s + hom[i] * c[0] }, 0),
         y: valArray.reduce((s, c, i) => { return s + hom[i] * c[1] }, 0)
+    };
+    if (valArray.some(c => { return c.length > 2 })) {
+        point.z = valArray.reduce((s, c, i) => { return s + hom[i] * (c[2] ?? 0) }, 0);
     }
+    return point;
 }
 
 /**
@@ -482,65 +1618,188 @@ function barycentricToCartesian(p1, p2, p3, bary) {
  * @returns {number} 
  */
 function incircleRadius(a, b, c) {
-    const s = 0.5 * (a + b + c);
-    return Math.sqrt(((s - a) * (s - b) * (s - c)) / s);
+    return 2 * triangleArea(a, b, c) / (a + b + c);
+}
+
+/**
+ * Calculates length of the median from the vertex opposite of side a to the midpoint of side a.
+ * @param {number} a Length of side a
+ * @param {number} b Length of side b
+ * @param {number} c Length of side c
+ * @returns {number}
+ */
+function medianLength(a, b, c) {
+    return 0.5 * Math.sqrt(2 * b ** 2 + 2 * c ** 2 - a ** 2);
+}
+
+/**
+ * Calculates length of the internal angle bisector from the vertex opposite of side a to side a.
+ * @param {number} a Length of side a
+ * @param {number} b Length of side b
+ * @param {number} c Length of side c
+ * @returns {number}
+ */
+function bisectorLength(a, b, c) {
+    return Math.sqrt(b * c * (1 - (a / (b + c)) ** 2));
+}
+
+/**
+ * @typedef {Object} Line
+ * @property {Point} point - A point on the line
+ * @property {Point} direction - Unit vector along the line
+ */
+
+/**
+ * Euler line through circumcenter and orthocenter (the centroid also lies on it).
+ * For equilateral triangles all centers coincide and the line is undefined.
+ * @param {Point} circumcenter
+ * @param {Point} orthocenter
+ * @param {Point} centroid
+ * @param {number} scale Typical length of the triangle, used to decide if the centers coincide
+ * @returns {?Line} null for equilateral triangles
+ */
+function eulerLine(circumcenter, orthocenter, centroid, scale) {
+    const dx = orthocenter.x - circumcenter.x;
+    const dy = orthocenter.y - circumcenter.y;
+    const dz = (orthocenter.z ?? 0) - (circumcenter.z ?? 0);
+    const length = Math.hypot(dx, dy, dz);
+    if (length <= 1e-10 * scale) {
+        return null;
+    }
+    const direction = { x: dx / length, y: dy / length };
+    if ("z" in centroid) {
+        direction.z = dz / length;
+    }
+    return { point: centroid, direction };
 }
 
 /**
- * Calculates side lengths and angular values of a trinagle defined by 3 two-dimensional Points.
+ * Calculates side lengths and angular values of a trinagle defined by 3 two- or three-dimensional Points.
  * Additionally the area, circumcircle, incircle and centroid of the triangle are calculated.
  * Points can be Arrays or Objects. 
+ * If one of the Points has a z coordinate the triangle is solved in space, all calculated Points are three-dimensional
+ * and the unit normal and plane of the triangle are added.
+ * Coordinates can be given with a tolerance like the values of {@link solve}.
  * @example
  * let solved=solvePoints([-1, 2.1], {x:3, y:2}, {X:4, Y:-1});
  * @param {Point} A - First Point
  * @param {Point} B - Second Point
  * @param {Point} C - Third Point
- * @param {string} mode - Specifies if angles should be in degrees or radians
+ * @param {string} mode - Angle unit of the calculated angles: "deg", "rad", "grad" or "turn"
+ * @param {{angleTolerance: number, sideTolerance: number}} [classification] - Tolerances of the classification, see {@link classifyTriangle}
  * @returns {solveResult} - Additionally contains the original Points
  */
-export function solvePoints(A, B, C, mode = "deg") {
+export function solvePoints(A, B, C, mode = "deg", classification = {}) {
     /* Copy Points so later changes won't affect returned Object */
     //A = Object.assign({}, A);
     //B = Object.assign({}, B);
     //C = Object.assign({}, C);
     const result = { A, B, C, mode, solutions: [] };
-    /* Validate Input */
     const nameArray = ["A", "B", "C"];
+
+    /* Coordinates with tolerances are solved with their nominal values, the uncertainty is propagated afterwards */
+    const tolerances = [];
+    const nominalPoints = [A, B, C].map((point, p) => {
+        if (typeof point !== "object" || point === null) {
+            return point;
+        }
+        const copy = Array.isArray(point) ? point.slice(0, 3) : { ...point };
+        for (const key of Array.isArray(point) ? [0, 1, 2] : ["x", "y", "z", "X", "Y", "Z"]) {
+            const tolerance = parseTolerance(copy[key]);
+            const name = `${nameArray[p]}.${typeof key === "number" ? "xyz"[key] : key}`;
+            if (tolerance === null) {
+                addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${name} = ${JSON.stringify(copy[key])} - Tolerances must be {value, sigma} with sigma >=0 or [min, max] with min <= max`, [nameArray[p]]);
+            } else if (tolerance) {
+                tolerances.push({ ...tolerance, name, point: p, key });
+                copy[key] = tolerance.nominal;
+            }
+        }
+        return copy;
+    });
+    if (result.errors) {
+        return result;
+    }
+    if (tolerances.length > 0) {
+        const withValues = (values) => {
+            const points = nominalPoints.map(point => { return Array.isArray(point) ? point.slice() : { ...point } });
+            tolerances.forEach((t, i) => { points[t.point][t.key] = values[i] });
+            return points;
+        };
+        const solved = solvePoints(...nominalPoints, mode, classification);
+        for (const key of ["solutions", "error", "errors"]) {
+            if (solved[key] !== undefined) {
+                result[key] = solved[key];
+            }
+        }
+        if (result.errors && result.errors.some(e => { return e.code !== errorCodes.NO_SOLUTION })) {
+            return result;
+        }
+        return propagateUncertainty(result, tolerances, (values) => { return solvePoints(...withValues(values), mode).solutions });
+    }
+
+    /* Validate Input */
     const valArray = [A, B, C];
     for (let i = 0; i < 3; i++) {
         if (!checkCoordinate(valArray[i])) {
-            result.error = `Illegal Parameter: ${nameArray[i]}: ${String(JSON.stringify(valArray[i])).replaceAll("\"", "'")} - Must be [x,y], {x,y} or {X,Y}.`;
-            return result;
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: ${nameArray[i]}: ${String(JSON.stringify(valArray[i])).replaceAll("\"", "'")} - Must be [x,y], {x,y}, {X,Y} or [x,y,z], {x,y,z}, {X,Y,Z}.`, [nameArray[i]]);
         }
-    } for (let i = 0; i < 3; i++) {
+    }
+    /* Repeated coordinates can only be detected for valid coordinates */
+    for (let i = 0; i < 3 && !result.errors; i++) {
         if (distance(valArray[i], valArray[(i + 1) % 3]) === 0) {
             const coordinates1 = Array.isArray(valArray[i]) ? `[${valArray[i]}]` : `{${Object.entries(valArray[i]).map(e => { return e.join(":") })}}`;
             const coordinates2 = Array.isArray(valArray[(i + 1) % 3]) ? `[${valArray[(i + 1) % 3]}]` : `{${Object.entries(valArray[(i + 1) % 3]).map(e => { return e.join(":") })}}`;
-            result.error = `Repeated Coordinates: ${nameArray[(i)]}: ${coordinates1} and ${nameArray[(i + 1) % 3]}: ${coordinates2} - Coordinates must be unique.`;
-            return result;
+            addError(result, errorCodes.REPEATED_COORDINATES, `Repeated Coordinates: ${nameArray[(i)]}: ${coordinates1} and ${nameArray[(i + 1) % 3]}: ${coordinates2} - Coordinates must be unique.`, [nameArray[i], nameArray[(i + 1) % 3]]);
+            /* All three coordinates are equal, one error is enough */
+            if (i === 0 && distance(valArray[1], valArray[2]) === 0) {
+                break;
+            }
         }
     }
 
+    /* Setting angle mode */
+    checkMode(result, mode);
+    if (result.errors) {
+        return result;
+    }
+
     const sideAB = distance(A, B);//c
     const sideBC = distance(B, C);//a
     const sideCA = distance(C, A);//b
 
-    /* Setting angle mode */
-    if (mode !== "deg" && mode !== "rad") {
-        result.error = `Unknown mode: ${mode} - Must be "deg" or "rad"`
-        return result;
-    }
-    let modeOutConv = mode === "deg" ? toDeg : 1;
+    let modeOutConv = angleUnits[mode];
+
+    /* Convert to Array based Points for simpler code */
+    const pA = pointToArray(A);
+    const pB = pointToArray(B);
+    const pC = pointToArray(C);
+    const [a3, b3, c3] = [pA, pB, pC].map(p => { return [Number(p[0]), Number(p[1]), Number(p[2] ?? 0)] });
 
-    /* Calculate angles */
-    const angleA = Math.acos((sideCA ** 2 + sideAB ** 2 - sideBC ** 2) / (2 * sideCA * sideAB));
-    const angleB = Math.acos((sideBC ** 2 + sideAB ** 2 - sideCA ** 2) / (2 * sideBC * sideAB));
-    const angleC = angleSum - angleA - angleB;
+    /* Exact test for collinear Points, in space all three projections on the coordinate planes must be collinear */
+    if ([[0, 1], [1, 2], [2, 0]].every(([i, j]) => { return orient2d(a3[i], a3[j], b3[i], b3[j], c3[i], c3[j]) === 0 })) {
+        return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: Impossible combination of side lengths: ${[sideBC, sideCA, sideAB].join(", ")}`, ["A", "B", "C"]);
+    }
 
-    /* Check if any angle is 0 or NaN */
-    if ([angleA, angleB, angleC].some(x => { return !x })) {
-        result.error = `Unsolvable: Impossible combination of side lengths: ${[sideBC, sideCA, sideAB].join(", ")}`;
-        return result;
+    /* Calculate angles with atan2(|u x v|, u * v), which is accurate for all angles unlike acos of the law of cosines */
+    const edge = (from, to) => { return [to[0] - from[0], to[1] - from[1], to[2] - from[2]] };
+    const dot = (u, v) => { return u[0] * v[0] + u[1] * v[1] + u[2] * v[2] };
+    const [u, v] = [edge(a3, b3), edge(a3, c3)];
+    const crossProduct = (p, q) => { return [p[1] * q[2] - p[2] * q[1], p[2] * q[0] - p[0] * q[2], p[0] * q[1] - p[1] * q[0]] };
+    const cross = crossProduct(u, v);
+    const crossLength = Math.hypot(...cross);
+    const angles = [
+        Math.atan2(crossLength, dot(u, v)),
+        Math.atan2(crossLength, dot(edge(b3, a3), edge(b3, c3))),
+        Math.atan2(crossLength, dot(edge(c3, a3), edge(c3, b3)))
+    ];
+    /* The largest angle follows from the angle sum, so the angles add up to 180 degrees */
+    const largest = angles.indexOf(Math.max(...angles));
+    angles[largest] = angleSum - angles[(largest + 1) % 3] - angles[(largest + 2) % 3];
+    const [angleA, angleB, angleC] = angles;
+
+    /* Check if any angle is 0 or NaN, e.g. if the cross product underflows */
+    if ([angleA, angleB, angleC].some(x => { return !(x > 0) })) {
+        return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: Impossible combination of side lengths: ${[sideBC, sideCA, sideAB].join(", ")}`, ["A", "B", "C"]);
     }
 
     /* 
@@ -564,24 +1823,37 @@ export function solvePoints(A, B, C, mode = "deg") {
     solution.beta = solution.angleB;
     solution.gamma = solution.angleC;
 
-    solution.area = 0.5 * sideAB * sideBC * Math.sin(angleB);
-
-    /* Convert to Array based Points for simpler code */
-    const pA = pointToArray(A);
-    const pB = pointToArray(B);
-    const pC = pointToArray(C);
+    solution.area = 0.5 * crossLength;
+    if ([pA, pB, pC].some(p => { return p.length > 2 })) {
+        /* Three-dimensional triangle, normal follows the right-hand rule for A, B, C */
+        solution.normal = { x: cross[0] / crossLength, y: cross[1] / crossLength, z: cross[2] / crossLength };
+        /* Plane equation a*x + b*y + c*z + d = 0 */
+        solution.plane = {
+            a: solution.normal.x,
+            b: solution.normal.y,
+            c: solution.normal.z,
+            d: -(solution.normal.x * a3[0] + solution.normal.y * a3[1] + solution.normal.z * a3[2])
+        };
+    } else {
+        /* Exact orientation of the vertices in the plane */
+        solution.winding = orient2d(a3[0], a3[1], b3[0], b3[1], c3[0], c3[1]) > 0 ? "ccw" : "cw";
+    }
 
     /* Barycentric coordinates are used to calculate the following values */
-    solution.centroid = barycentricToCartesian(pA, pB, pC, [1 / 3, 1 / 3, 1 / 3]);
+    solution.centroid = weightedPoint(pA, pB, pC, [1 / 3, 1 / 3, 1 / 3]);
 
     solution.incircle = {
-        center: barycentricToCartesian(pA, pB, pC, [sideBC, sideCA, sideAB]),
+        center: weightedPoint(pA, pB, pC, [sideBC, sideCA, sideAB]),
         radius: incircleRadius(sideAB, sideBC, sideCA)
     };
 
+    /* Circumcenter A + (|u|^2 (v x w) + |v|^2 (w x u)) / (2 |w|^2) with w = u x v, barycentric sin(2 alpha) weights cancel out for slivers */
+    const [vw, wu] = [crossProduct(v, cross), crossProduct(cross, u)];
+    const circumcenter = [0, 1, 2].slice(0, Math.max(pA.length, pB.length, pC.length))
+        .map(i => { return a3[i] + (dot(u, u) * vw[i] + dot(v, v) * wu[i]) / (2 * crossLength * crossLength) });
     solution.circumcircle = {
-        center: barycentricToCartesian(pA, pB, pC, [Math.sin(2 * angleA), Math.sin(2 * angleB), Math.sin(2 * angleC)]),
-        radius: (sideBC / Math.sin(angleA)) / 2
+        center: Object.fromEntries(circumcenter.map((x, i) => { return ["xyz"[i], x] })),
+        radius: (sideAB * sideBC * sideCA) / (4 * solution.area)
     };
 
     /* height lengths */
@@ -589,6 +1861,131 @@ export function solvePoints(A, B, C, mode = "deg") {
     solution.hb = (solution.a * solution.c) / (2 * solution.circumcircle.radius);
     solution.hc = (solution.a * solution.b) / (2 * solution.circumcircle.radius);
 
+    solution.perimeter = sideAB + sideBC + sideCA;
+    solution.ma = medianLength(sideBC, sideCA, sideAB);
+    solution.mb = medianLength(sideCA, sideAB, sideBC);
+    solution.mc = medianLength(sideAB, sideBC, sideCA);
+    solution.ta = bisectorLength(sideBC, sideCA, sideAB);
+    solution.tb = bisectorLength(sideCA, sideAB, sideBC);
+    solution.tc = bisectorLength(sideAB, sideBC, sideCA);
+
+    /* Conway notation, stays finite for right angles where tan() based barycentrics fail */
+    const SA = (sideCA ** 2 + sideAB ** 2 - sideBC ** 2) / 2;
+    const SB = (sideBC ** 2 + sideAB ** 2 - sideCA ** 2) / 2;
+    const SC = (sideBC ** 2 + sideCA ** 2 - sideAB ** 2) / 2;
+
+    /* Euler line: H = A + B + C - 2 O, the barycentric SB * SC weights cancel out for slivers like the circumcenter */
+    solution.orthocenter = Object.fromEntries(circumcenter.map((x, i) => { return ["xyz"[i], a3[i] + b3[i] + c3[i] - 2 * x] }));
+
+    solution.altitudeFeet = {
+        a: weightedPoint(pA, pB, pC, [0, SC, SB]),
+        b: weightedPoint(pA, pB, pC, [SC, 0, SA]),
+        c: weightedPoint(pA, pB, pC, [SB, SA, 0])
+    };
+
+    solution.medianFeet = {
+        a: weightedPoint(pA, pB, pC, [0, 1, 1]),
+        b: weightedPoint(pA, pB, pC, [1, 0, 1]),
+        c: weightedPoint(pA, pB, pC, [1, 1, 0])
+    };
+
+    /* Angle bisector theorem: the foot divides the opposite side in the ratio of the adjacent sides */
+    solution.bisectorFeet = {
+        a: weightedPoint(pA, pB, pC, [0, sideCA, sideAB]),
+        b: weightedPoint(pA, pB, pC, [sideBC, 0, sideAB]),
+        c: weightedPoint(pA, pB, pC, [sideBC, sideCA, 0])
+    };
+
+    /* Center of nine-point circle is the midpoint of circumcenter and orthocenter */
+    solution.ninePointCircle = {
+        center: weightedPoint(pointToArray(solution.circumcircle.center), pointToArray(solution.orthocenter), pA, [1, 1, 0]),
+        radius: solution.circumcircle.radius / 2
+    };
+
+    solution.eulerLine = eulerLine(solution.circumcircle.center, solution.orthocenter, solution.centroid, solution.circumcircle.radius);
+
+    /* Excircle radii via r_a = area / (s - a) */
+    const s = 0.5 * (sideBC + sideCA + sideAB);
+    solution.excircles = {
+        a: {
+            center: weightedPoint(pA, pB, pC, [-sideBC, sideCA, sideAB]),
+            radius: solution.area / (s - sideBC)
+        },
+        b: {
+            center: weightedPoint(pA, pB, pC, [sideBC, -sideCA, sideAB]),
+            radius: solution.area / (s - sideCA)
+        },
+        c: {
+            center: weightedPoint(pA, pB, pC, [sideBC, sideCA, -sideAB]),
+            radius: solution.area / (s - sideAB)
+        }
+    };
+
+    solution.classification = classifyTriangle(solution, { ...classification, mode });
+
     result.solutions = [solution];
+    warnNearDegenerate(result, [angleA, angleB, angleC], nameArray);
     return result;
 }
+
+/**
+ * Options for placing a triangle in the plane.
+ * @typedef {Object} placementOptions
+ * @property {Point} [translation={x:0, y:0}] - Position of vertex A
+ * @property {number} [rotation=0] - Angle between side c (A to B) and the x-axis, in degrees or radians depending on mode
+ * @property {string} [winding="ccw"] - Order of the vertices A, B, C: "ccw" (counterclockwise) or "cw" (clockwise)
+ * @property {string} [mode="deg"] - Angle unit of the solution and the rotation: "deg", "rad", "grad" or "turn"
+ */
+
+/**
+ * Places a solution returned by {@link solve} in the plane and solves the resulting coordinates with {@link solvePoints}.
+ * Without options vertex A is at the origin, side c lies on the positive x-axis and C is above it.
+ * The mode must be the angle mode of the solution, otherwise side a doesn't match b, c and alpha and an error is returned.
+ * @example
+ * let placed = placeSolution(solve({a:3, b:4, c:5}).solutions[0], {translation:[1, 1], rotation:90});
+ * @param {triangleSolution} solution - Solution with side lengths and angles
+ * @param {placementOptions} [options]
+ * @returns {solveResult} - Same as {@link solvePoints}, contains the vertices A, B and C
+ */
+export function placeSolution(solution, { translation = { x: 0, y: 0 }, rotation = 0, winding = "ccw", mode = "deg" } = {}) {
+    const result = { solution, translation, rotation, winding, mode, solutions: [] };
+    checkMode(result, mode);
+    if (winding !== "ccw" && winding !== "cw") {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Unknown winding: ${winding} - Must be "ccw" or "cw"`, ["winding"]);
+    }
+    if (typeof solution !== "object" || solution === null || ["b", "c", "alpha"].some(p => { return !(Number(solution[p]) > 0) })) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: solution - Must be a solution returned by solve().`, ["solution"]);
+    }
+    const origin = pointToArray(translation);
+    if (origin === null) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: translation - Must be a coordinate.`, ["translation"]);
+    }
+    if (Number.isNaN(parseAngle(rotation, mode))) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: rotation - Must be a number.`, ["rotation"]);
+    }
+    if (result.errors) {
+        return result;
+    }
+    const modeInConv = 1 / angleUnits[mode];
+    const alpha = parseAngle(solution.alpha, mode) * modeInConv;
+    const phi = parseAngle(rotation, mode) * modeInConv;
+    const sign = winding === "ccw" ? 1 : -1;
+
+    /* Solutions don't record their angle mode, a wrong mode shows as a mismatch of side a with the law of cosines */
+    const [a, b, c] = [solution.a, solution.b, solution.c].map(Number);
+    const calculated = Math.sqrt(Math.max(0, (b - c) ** 2 + 4 * b * c * Math.sin(alpha / 2) ** 2));
+    if (a > 0 && Math.abs(calculated - a) > 1e-6 * Math.max(a, b, c)) {
+        return addError(result, errorCodes.INCONSISTENT_INPUT, `Inconsistent Parameter: solution - Side a = ${a} doesn't match b, c and alpha in mode "${mode}", calculated: ${calculated}. Use the outputMode of solve() as mode.`,
+            ["solution.a"], { calculated: { "solution.a": calculated } });
+    }
+
+    /* Local frame: A at origin, B on the x-axis */
+    const local = [[0, 0], [Number(solution.c), 0], [Number(solution.b) * Math.cos(alpha), sign * Number(solution.b) * Math.sin(alpha)]];
+    const [A, B, C] = local.map(([x, y]) => {
+        return {
+            x: origin[0] + x * Math.cos(phi) - y * Math.sin(phi),
+            y: origin[1] + x * Math.sin(phi) + y * Math.cos(phi)
+        };
+    });
+    return solvePoints(A, B, C, mode);
+}
@@ -0,0 +1,21 @@
+/**
+ * @author Michael Meigel
+ *
+ * Reading of Points given as Arrays or Objects.
+ */
+
+/**
+ * Reads a Point as Array.
+ * @param {Point} point [x, y], [x, y, z], {x, y, z} or {X, Y, Z}
+ * @returns {?Array.number} [x, y] or [x, y, z], null if the Point is invalid
+ */
+export function readPoint(point) {
+    if (typeof point !== "object" || point === null) {
+        return null;
+    }
+    const coordinates = Array.isArray(point) ? point.slice(0, 3) : "x" in point ? [point.x, point.y, point.z] : [point.X, point.Y, point.Z];
+    if (coordinates.length === 3 && coordinates[2] === undefined) {
+        coordinates.pop();
+    }
+    return coordinates.length >= 2 && coordinates.every(x => { return x !== null && x !== "" && Number.isFinite(Number(x)) }) ? coordinates.map(Number) : null;
+}
@@ -0,0 +1,217 @@
+/**
+ * @author Michael Meigel
+ *
+ * Simple polygons, triangulated by ear clipping and solved triangle by triangle.
+ */
+
+import { solvePoints } from "./index.js";
+import { addError, errorCodes } from "./errors.js";
+import { angleUnits, checkMode } from "./angles.js";
+import { readPoint } from "./points.js";
+import { orient2d } from "./robust.js";
+
+/**
+ * Exact orientation of three points.
+ * @param {Array.number} p
+ * @param {Array.number} q
+ * @param {Array.number} r
+ * @returns {number} 1 if counterclockwise, -1 if clockwise, 0 if collinear
+ */
+function orient(p, q, r) {
+    return orient2d(p[0], p[1], q[0], q[1], r[0], r[1]);
+}
+
+/**
+ * Checks if a point collinear with a segment lies on it.
+ * @param {Array.number} p
+ * @param {Array.number} q
+ * @param {Array.number} r
+ * @returns {boolean} True if r is between p and q
+ */
+function onSegment(p, q, r) {
+    return Math.min(p[0], q[0]) <= r[0] && r[0] <= Math.max(p[0], q[0]) && Math.min(p[1], q[1]) <= r[1] && r[1] <= Math.max(p[1], q[1]);
+}
+
+/**
+ * Checks if two segments intersect or touch.
+ * @param {Array.number} p1
+ * @param {Array.number} p2
+ * @param {Array.number} q1
+ * @param {Array.number} q2
+ * @returns {boolean}
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+    const [d1, d2, d3, d4] = [orient(q1, q2, p1), orient(q1, q2, p2), orient(p1, p2, q1), orient(p1, p2, q2)];
+    if (d1 * d2 < 0 && d3 * d4 < 0) {
+        return true;
+    }
+    return (d1 === 0 && onSegment(q1, q2, p1)) || (d2 === 0 && onSegment(q1, q2, p2)) || (d3 === 0 && onSegment(p1, p2, q1)) || (d4 === 0 && onSegment(p1, p2, q2));
+}
+
+/**
+ * Finds two edges of a polygon which cross, touch or overlap. Edge i goes from vertex i to vertex i + 1.
+ * @param {Array.Array.number} vertices
+ * @returns {?Array.number} Indices of the edges, null if the polygon is simple
+ */
+function findIntersection(vertices) {
+    const n = vertices.length;
+    for (let i = 0; i < n; i++) {
+        const [p1, p2, p3] = [vertices[i], vertices[(i + 1) % n], vertices[(i + 2) % n]];
+        /* Adjacent edges only meet in their common vertex, unless the second one turns back on the first */
+        if (orient(p1, p2, p3) === 0 && (p1[0] - p2[0]) * (p3[0] - p2[0]) + (p1[1] - p2[1]) * (p3[1] - p2[1]) > 0) {
+            return [i, (i + 1) % n];
+        }
+        for (let j = i + 2; j < n; j++) {
+            if (i === 0 && j === n - 1) {
+                continue;
+            }
+            if (segmentsIntersect(p1, p2, vertices[j], vertices[(j + 1) % n])) {
+                return [i, j];
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Triangulates a simple counterclockwise polygon by ear clipping.
+ * An ear is a convex vertex whose triangle with its neighbors contains no other vertex. Collinear vertices are removed without a triangle.
+ * @param {Array.Array.number} vertices
+ * @returns {Array.Array.number} Vertex indices of the triangles, counterclockwise
+ */
+function clipEars(vertices) {
+    const remaining = vertices.map((v, i) => { return i });
+    const triangles = [];
+    while (remaining.length > 3) {
+        const n = remaining.length;
+        let clipped = false;
+        for (let k = 0; k < n && !clipped; k++) {
+            const [i, j, l] = [remaining[(k + n - 1) % n], remaining[k], remaining[(k + 1) % n]];
+            const [p, q, r] = [vertices[i], vertices[j], vertices[l]];
+            const turn = orient(p, q, r);
+            if (turn === 0) {
+                remaining.splice(k, 1);
+                clipped = true;
+            } else if (turn > 0 && !remaining.some(m => {
+                return m !== i && m !== j && m !== l && orient(p, q, vertices[m]) >= 0 && orient(q, r, vertices[m]) >= 0 && orient(r, p, vertices[m]) >= 0;
+            })) {
+                triangles.push([i, j, l]);
+                remaining.splice(k, 1);
+                clipped = true;
+            }
+        }
+        /* Every simple polygon has an ear, this only guards against an endless loop */
+        if (!clipped) {
+            break;
+        }
+    }
+    if (remaining.length === 3 && orient(...remaining.map(i => { return vertices[i] })) !== 0) {
+        triangles.push(remaining);
+    }
+    return triangles;
+}
+
+/**
+ * Solution of a polygon.
+ * @typedef {Object} polygonSolution
+ * @property {number} area - Area of the polygon
+ * @property {number} perimeter - Sum of all edge lengths
+ * @property {Array.number} angles - Interior angle at every vertex, in the order of the points
+ * @property {Point} centroid - Center of mass of the polygon area
+ * @property {boolean} convex - True if no interior angle is larger than 180 degrees
+ * @property {string} winding - "ccw" if the points are counterclockwise, otherwise "cw"
+ * @property {Array.<{vertices: Array.number, solution: triangleSolution}>} triangles - Indices of the points of every triangle and its solution of {@link solvePoints}.
+ * The triangles have the same winding as the polygon.
+ */
+
+/**
+ * Solves a simple polygon: it is triangulated by ear clipping and every triangle is solved with {@link solvePoints}.
+ * The points can be in clockwise or counterclockwise order, edges must not cross or touch each other.
+ * @example
+ * solvePolygon([[0, 0], [4, 0], [4, 3], [0, 3]]).solutions[0].area == 12
+ * @param {Array.Point} points - Vertices of the polygon in order, at least 3 two-dimensional Points
+ * @param {string} [mode="deg"] - Angle unit: "deg", "rad", "grad" or "turn"
+ * @returns {{points: Array.Point, mode: string, solutions: Array.polygonSolution, error: ?string}}
+ */
+export function solvePolygon(points, mode = "deg") {
+    const result = { points, mode, solutions: [] };
+    checkMode(result, mode);
+    if (!Array.isArray(points) || points.length < 3) {
+        return addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: points - Must be an Array of at least 3 points.`, ["points"]);
+    }
+    const vertices = points.map((point, i) => {
+        const vertex = readPoint(point);
+        if (vertex === null || vertex.length > 2) {
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: points[${i}]: ${String(JSON.stringify(point)).replaceAll("\"", "'")} - Must be [x,y], {x,y} or {X,Y}.`, [`points.${i}`]);
+        }
+        return vertex;
+    });
+    if (result.errors) {
+        return result;
+    }
+    for (let i = 0; i < vertices.length; i++) {
+        for (let j = i + 1; j < vertices.length; j++) {
+            if (vertices[i][0] === vertices[j][0] && vertices[i][1] === vertices[j][1]) {
+                addError(result, errorCodes.REPEATED_COORDINATES, `Repeated Coordinates: points[${i}]: ${vertices[i]} and points[${j}]: ${vertices[j]} - Coordinates must be unique.`, [`points.${i}`, `points.${j}`]);
+            }
+        }
+    }
+    if (result.errors) {
+        return result;
+    }
+
+    /* Shoelace formula relative to the first vertex, which avoids cancellation far from the origin */
+    const n = vertices.length;
+    const [x0, y0] = vertices[0];
+    let doubleArea = 0;
+    let [cx, cy] = [0, 0];
+    for (let i = 1; i < n - 1; i++) {
+        const [x1, y1, x2, y2] = [vertices[i][0] - x0, vertices[i][1] - y0, vertices[i + 1][0] - x0, vertices[i + 1][1] - y0];
+        const cross = x1 * y2 - x2 * y1;
+        doubleArea += cross;
+        cx += (x1 + x2) * cross;
+        cy += (y1 + y2) * cross;
+    }
+    /* Simple polygons always have an area, collinear points are reported as overlapping edges */
+    const edges = findIntersection(vertices);
+    if (edges) {
+        const edgeText = (i) => { return `edge ${i}: ${vertices[i]} to ${vertices[(i + 1) % n]}` };
+        return addError(result, errorCodes.SELF_INTERSECTION, `Self-intersection: ${edgeText(edges[0])} and ${edgeText(edges[1])} - Edges must not cross or touch.`, ["points"], { edges });
+    }
+
+    const winding = doubleArea > 0 ? "ccw" : "cw";
+    const sign = Math.sign(doubleArea);
+    /* Ear clipping works on the counterclockwise polygon, the triangles get the winding of the input */
+    const order = winding === "ccw" ? vertices.map((v, i) => { return i }) : vertices.map((v, i) => { return n - 1 - i });
+    const triangles = clipEars(order.map(i => { return vertices[i] })).map(triangle => {
+        const indices = triangle.map(i => { return order[i] });
+        if (winding === "cw") {
+            indices.reverse();
+        }
+        return { vertices: indices, solution: solvePoints(...indices.map(i => { return points[i] }), mode).solutions[0] };
+    });
+
+    const toMode = angleUnits[mode];
+    const angles = vertices.map((vertex, i) => {
+        const [previous, next] = [vertices[(i + n - 1) % n], vertices[(i + 1) % n]];
+        const [ux, uy, vx, vy] = [vertex[0] - previous[0], vertex[1] - previous[1], next[0] - vertex[0], next[1] - vertex[1]];
+        /* Turn to the inside of the polygon is positive, the interior angle is its supplement */
+        const turn = Math.atan2(sign * (ux * vy - uy * vx), ux * vx + uy * vy);
+        return (Math.PI - turn) * toMode;
+    });
+    const perimeter = vertices.reduce((sum, vertex, i) => {
+        const next = vertices[(i + 1) % n];
+        return sum + Math.hypot(next[0] - vertex[0], next[1] - vertex[1]);
+    }, 0);
+
+    result.solutions.push({
+        area: Math.abs(doubleArea) / 2,
+        perimeter,
+        angles,
+        centroid: { x: x0 + cx / (3 * doubleArea), y: y0 + cy / (3 * doubleArea) },
+        convex: vertices.every((vertex, i) => { return sign * orient(vertices[(i + n - 1) % n], vertex, vertices[(i + 1) % n]) >= 0 }),
+        winding,
+        triangles
+    });
+    return result;
+}
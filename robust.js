@@ -0,0 +1,84 @@
+/**
+ * @author Michael Meigel
+ *
+ * Numerically stable formulas for needle-like and nearly degenerate triangles.
+ * See W. Kahan, "Miscalculating Area and Angles of a Needle-like Triangle" and J. R. Shewchuk, "Adaptive Precision Floating-Point Arithmetic".
+ */
+
+/* Relative error bound of the floating point orientation test (Shewchuk's ccwerrboundA) */
+const epsilon = 2 ** -53;
+const orientationBound = (3 + 16 * epsilon) * epsilon;
+
+/**
+ * Area of a triangle with Kahan's formula, which is accurate for needle-like triangles.
+ * The sides are sorted without creating Arrays, so it can be used in loops over many triangles.
+ * @param {number} a Length of side a
+ * @param {number} b Length of side b
+ * @param {number} c Length of side c
+ * @returns {number} Area, 0 for degenerate triangles, NaN if the side lengths violate the triangle inequality
+ */
+export function triangleArea(a, b, c) {
+    /* x >= y >= z, the brackets must not be changed */
+    const x = Math.max(a, b, c);
+    const z = Math.min(a, b, c);
+    const y = Math.max(Math.min(a, b), Math.min(Math.max(a, b), c));
+    const product = (x + (y + z)) * (z - (x - y)) * (z + (x - y)) * (x + (y - z));
+    return product < 0 ? NaN : Math.sqrt(product) / 4;
+}
+
+/**
+ * Angle opposite of side a with Kahan's formula, which is accurate for needle-like triangles unlike the arccosine of the law of cosines.
+ * @param {number} a Length of the opposite side
+ * @param {number} b Length of an adjacent side
+ * @param {number} c Length of the other adjacent side
+ * @returns {number} Angle in radians, 0 or PI for degenerate triangles, NaN if the side lengths violate the triangle inequality
+ */
+export function angleFromSides(a, b, c) {
+    const p = Math.max(b, c);
+    const q = Math.min(b, c);
+    const mu = q >= a ? a - (p - q) : q - (p - a);
+    const denominator = (p + (q + a)) * ((p - a) + q);
+    if (mu < 0 || denominator < 0) {
+        return NaN;
+    }
+    return 2 * Math.atan(Math.sqrt(((p - q) + a) * mu / denominator));
+}
+
+/**
+ * Converts a double exactly to a BigInt, scaled by 2^1074 so subnormal numbers are integers as well.
+ * @param {number} x Finite number
+ * @returns {bigint}
+ */
+function scaledBigInt(x) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, x);
+    const bits = view.getBigUint64(0);
+    const exponent = Number((bits >> 52n) & 0x7ffn);
+    const fraction = bits & 0xfffffffffffffn;
+    const mantissa = exponent === 0 ? fraction : fraction | 0x10000000000000n;
+    const value = mantissa << BigInt(Math.max(exponent, 1) - 1);
+    return bits >> 63n ? -value : value;
+}
+
+/**
+ * Exact sign of the cross product (B - A) x (C - A) of three points in the plane.
+ * The floating point result is used if its error bound proves the sign, otherwise the determinant is evaluated exactly with BigInts.
+ * @param {number} ax
+ * @param {number} ay
+ * @param {number} bx
+ * @param {number} by
+ * @param {number} cx
+ * @param {number} cy
+ * @returns {number} 1 if A, B, C are counterclockwise, -1 if clockwise, 0 if collinear
+ */
+export function orient2d(ax, ay, bx, by, cx, cy) {
+    const left = (ax - cx) * (by - cy);
+    const right = (ay - cy) * (bx - cx);
+    const determinant = left - right;
+    if (Math.abs(determinant) >= orientationBound * (Math.abs(left) + Math.abs(right)) && determinant !== 0) {
+        return Math.sign(determinant);
+    }
+    const [Ax, Ay, Bx, By, Cx, Cy] = [ax, ay, bx, by, cx, cy].map(scaledBigInt);
+    const exact = (Ax - Cx) * (By - Cy) - (Ay - Cy) * (Bx - Cx);
+    return exact > 0n ? 1 : exact < 0n ? -1 : 0;
+}
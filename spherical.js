@@ -0,0 +1,326 @@
+/**
+ * @author Michael Meigel
+ *
+ * Solver for spherical triangles. Sides are arcs of great circles and are given as angles, like the angles of the triangle.
+ */
+
+import { addError, errorCodes } from "./errors.js";
+import { angleUnits, checkMode, parseAngle } from "./angles.js";
+
+/* Names of sides and opposite angles, side i is opposite of angle i */
+const sideNames = ["a", "b", "c"];
+const angleNames = ["alpha", "beta", "gamma"];
+
+/**
+ * Spherical law of cosines for sides, returns the side opposite of the angle between two sides.
+ * @param {number} s1 First side
+ * @param {number} s2 Second side
+ * @param {number} angle Angle between both sides
+ * @returns {number}
+ */
+function sideFromSAS(s1, s2, angle) {
+    return Math.acos(Math.cos(s1) * Math.cos(s2) + Math.sin(s1) * Math.sin(s2) * Math.cos(angle));
+}
+
+/**
+ * Spherical law of cosines for angles, returns the angle opposite of the side between two angles.
+ * @param {number} a1 First angle
+ * @param {number} a2 Second angle
+ * @param {number} side Side between both angles
+ * @returns {number}
+ */
+function angleFromASA(a1, a2, side) {
+    return Math.acos(-Math.cos(a1) * Math.cos(a2) + Math.sin(a1) * Math.sin(a2) * Math.cos(side));
+}
+
+/**
+ * Spherical law of cosines, returns the angle opposite of side s when all sides are known.
+ * @param {number} s Opposite side
+ * @param {number} s1 Second side
+ * @param {number} s2 Third side
+ * @returns {number}
+ */
+function angleFromSSS(s, s1, s2) {
+    return Math.acos((Math.cos(s) - Math.cos(s1) * Math.cos(s2)) / (Math.sin(s1) * Math.sin(s2)));
+}
+
+/**
+ * Polar law of cosines, returns the side opposite of angle A when all angles are known.
+ * @param {number} A Opposite angle
+ * @param {number} A1 Second angle
+ * @param {number} A2 Third angle
+ * @returns {number}
+ */
+function sideFromAAA(A, A1, A2) {
+    return Math.acos((Math.cos(A) + Math.cos(A1) * Math.cos(A2)) / (Math.sin(A1) * Math.sin(A2)));
+}
+
+/**
+ * Completes a triangle with two sides and their opposite angles known using Napier's analogies.
+ * @param {number} a First side
+ * @param {number} b Second side
+ * @param {number} alpha Angle opposite of a
+ * @param {number} beta Angle opposite of b
+ * @returns {?Array.number} [c, gamma] or null if no valid triangle exists
+ */
+function completeWithNapier(a, b, alpha, beta) {
+    /* Larger side must be opposite of larger angle */
+    if (Math.sign(a - b) !== Math.sign(alpha - beta)) {
+        return null;
+    }
+    const c = 2 * Math.atan2(Math.tan((a + b) / 2) * Math.cos((alpha + beta) / 2), Math.cos((alpha - beta) / 2));
+    const gamma = 2 * Math.atan2(Math.cos((a - b) / 2), Math.tan((alpha + beta) / 2) * Math.cos((a + b) / 2));
+    if (!(c > 0 && c < Math.PI && gamma > 0 && gamma < Math.PI)) {
+        return null;
+    }
+    return [c, gamma];
+}
+
+/**
+ * Checks equality of two floating point numbers. Returns true if |f1-f2| <= maxDifference.
+ * @param {number} f1 First number
+ * @param {number} f2 Second Number
+ * @param {number} [maxDifference=0.001] - Maximum
+ * @returns {boolean}
+ */
+function equalFloat(f1, f2, maxDifference = 0.001) {
+    return Math.abs(f1 - f2) <= maxDifference;
+}
+
+/**
+ * Names of the sides and angles given to {@link solveSpherical}.
+ * @param {Object} result
+ * @returns {Array.string}
+ */
+function givenParameters(result) {
+    return [...sideNames, ...angleNames].filter(p => { return result[p] !== undefined });
+}
+
+/**
+ * Creates solution object, also checks if there is a mismatch between calculated and input values if more than 3 values where provided.
+ * @param {Array.number} sides Side lengths in radians
+ * @param {Array.number} angles Angles in radians
+ * @param {Object} result
+ * @param {number} parameterCount Number of given sides/angles
+ * @returns {Object} result
+ */
+function addSphericalSolution(sides, angles, result, parameterCount) {
+    const inputModeConv = angleUnits[result.mode];
+    const modeOutConv = angleUnits[result.outputMode];
+    if ([...sides, ...angles].some(x => { return !(x > 0 && x < Math.PI) })) {
+        return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
+    }
+    if (parameterCount > 3) {
+        let inconsistent = false;
+        for (let i = 0; i < 3; i++) {
+            for (const [name, value] of [[sideNames[i], sides[i]], [angleNames[i], angles[i]]]) {
+                const calculatedValue = inputModeConv * value;
+                if (result[name] !== undefined && !equalFloat(parseAngle(result[name], result.mode), calculatedValue)) {
+                    addError(result, errorCodes.INCONSISTENT_INPUT, `Calculated value for "${name}" different from input: input: ${result[name]} calculated: ${calculatedValue}`,
+                        [name], { calculated: { [name]: calculatedValue } });
+                    inconsistent = true;
+                }
+            }
+        }
+        if (inconsistent) {
+            return result;
+        }
+    }
+    const solution = {};
+    sideNames.forEach((name, i) => { solution[name] = modeOutConv * sides[i] });
+    angleNames.forEach((name, i) => { solution[name] = modeOutConv * angles[i] });
+    /* Spherical excess, area follows from Girard's theorem */
+    const excess = angles[0] + angles[1] + angles[2] - Math.PI;
+    solution.excess = modeOutConv * excess;
+    solution.area = excess * result.radius ** 2;
+    solution.perimeter = (sides[0] + sides[1] + sides[2]) * result.radius;
+    result.solutions.push(solution);
+    return result;
+}
+
+/**
+ * Incomplete spherical triangle, consisting of several sides and angle values.
+ * @typedef {Object} sphericalTriangleToSolve
+ * @property {!number} [a] - Side a, arc between B and C as central angle
+ * @property {!number} [b] - Side b, arc between C and A as central angle
+ * @property {!number} [c] - Side c, arc between A and B as central angle
+ * @property {!number} [alpha] - Angle opposite of side a
+ * @property {!number} [beta] - Angle opposite of side b
+ * @property {!number} [gamma] - Angle opposite of side c
+ * @property {number} [radius=1] - Radius of the sphere, used for area and perimeter
+ * @property {string} [mode="deg"] - Angle unit of the given sides and angles: "deg", "rad", "grad" or "turn". DMS strings are accepted as well
+ * @property {string} [outputMode=mode] - Angle unit of the calculated sides and angles
+ */
+
+/**
+ * Complete spherical triangle.
+ * @typedef {Object} sphericalTriangleSolution
+ * @property {number} a - Side a
+ * @property {number} b - Side b
+ * @property {number} c - Side c
+ * @property {number} alpha - Angle opposite of side a
+ * @property {number} beta - Angle opposite of side b
+ * @property {number} gamma - Angle opposite of side c
+ * @property {number} excess - Spherical excess, alpha + beta + gamma - 180(deg)
+ * @property {number} area - Area on a sphere with the given radius
+ * @property {number} perimeter - Sum of the side lengths on a sphere with the given radius
+ */
+
+/**
+ * Finds missing sides and angles of an incomplete spherical triangle.
+ * Sides are central angles of great circle arcs, so they are given in the same mode as angles.
+ * There can be 0, 1 or 2 possible solutions, SSA and AAS are ambiguous on the sphere.
+ * Input Object must contain a minimum of 3 sides/angles. Unlike planar triangles three angles are sufficient.
+ * @example
+ * let solved = solveSpherical({a:60, b:70, gamma:80, radius:6371});
+ * @param {sphericalTriangleToSolve} sphericalTriangleToSolve
+ * @returns {{solutions: Array.<sphericalTriangleSolution>, mode: string, error: ?string}}
+ */
+export function solveSpherical({ a, b, c, alpha, beta, gamma, radius = 1, mode = "deg", outputMode = mode }) {
+    const result = { a, b, c, alpha, beta, gamma, radius, mode, outputMode, solutions: [] };
+    /* Remove undefined parameters */
+    Object.keys(result).forEach(
+        (p) => {
+            if (result[p] === undefined || result[p] === "") {
+                delete result[p];
+            }
+        });
+
+    const knownMode = checkMode(result, mode);
+    if (outputMode !== mode) {
+        checkMode(result, outputMode, "outputMode");
+    }
+    const modeInConv = 1 / angleUnits[mode];
+    const radiusNum = Number(radius);
+    if (Number.isNaN(radiusNum) || radiusNum <= 0) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: radius = ${radius} - Radius must be a number >0`, ["radius"]);
+    }
+
+    /* Validation and conversion, sides and angles of a spherical triangle are both in (0, 180) degrees. All illegal values are reported. */
+    const sides = [];
+    const angles = [];
+    let parameterCount = 0;
+    for (const [names, values] of [[sideNames, sides], [angleNames, angles]]) {
+        for (let i = 0; i < 3 && knownMode; i++) {
+            const value = result[names[i]];
+            if (value === undefined) {
+                continue;
+            }
+            const num = parseAngle(value, mode) * modeInConv;
+            if (Number.isNaN(num) || num <= 0 || num >= Math.PI) {
+                addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${names[i]} = ${value} - All sides and angles must be numbers >0 and <${Math.PI * angleUnits[mode]}(${mode})`, [names[i]]);
+                continue;
+            }
+            values[i] = num;
+            parameterCount++;
+        }
+    }
+    if (result.errors) {
+        return result;
+    }
+    result.radius = radiusNum;
+
+    if (parameterCount < 3) {
+        return addError(result, errorCodes.TOO_FEW_PARAMETERS, `Unsolvable: At least 3 parameters must be given.`, givenParameters(result));
+    }
+
+    const known = (x) => { return x !== undefined };
+
+    //SSS
+    if ([0, 1, 2].every(i => { return known(sides[i]) })) {
+        //result.debug="SSS";
+        const solved = [0, 1, 2].map(i => { return angleFromSSS(sides[i], sides[(i + 1) % 3], sides[(i + 2) % 3]) });
+        if (solved.some(x => { return Number.isNaN(x) })) {
+            return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: Impossible combination of sides: ${sideNames.map(n => { return result[n] }).join(", ")}`, sideNames);
+        }
+        return addSphericalSolution(sides, solved, result, parameterCount);
+    }
+
+    //AAA
+    if ([0, 1, 2].every(i => { return known(angles[i]) })) {
+        //result.debug="AAA";
+        const solved = [0, 1, 2].map(i => { return sideFromAAA(angles[i], angles[(i + 1) % 3], angles[(i + 2) % 3]) });
+        if (solved.some(x => { return Number.isNaN(x) })) {
+            return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: Impossible combination of angles: ${angleNames.map(n => { return result[n] }).join(", ")}`, angleNames);
+        }
+        return addSphericalSolution(solved, angles, result, parameterCount);
+    }
+
+    /* i is the index of the side/angle which is opposite of the other two given values */
+    for (let i = 0; i < 3; i++) {
+        const j = (i + 1) % 3;
+        const k = (i + 2) % 3;
+        //SAS
+        if (known(sides[j]) && known(sides[k]) && known(angles[i])) {
+            //result.debug="SAS";
+            const full = sides.slice();
+            full[i] = sideFromSAS(sides[j], sides[k], angles[i]);
+            const solved = [0, 1, 2].map(n => { return angleFromSSS(full[n], full[(n + 1) % 3], full[(n + 2) % 3]) });
+            return addSphericalSolution(full, solved, result, parameterCount);
+        }
+        //ASA
+        if (known(angles[j]) && known(angles[k]) && known(sides[i])) {
+            //result.debug="ASA";
+            const full = angles.slice();
+            full[i] = angleFromASA(angles[j], angles[k], sides[i]);
+            const solved = [0, 1, 2].map(n => { return sideFromAAA(full[n], full[(n + 1) % 3], full[(n + 2) % 3]) });
+            return addSphericalSolution(solved, full, result, parameterCount);
+        }
+    }
+
+    /* Side i and its opposite angle are given together with side j (SSA) or angle j (AAS) */
+    for (let i = 0; i < 3; i++) {
+        if (!known(sides[i]) || !known(angles[i])) {
+            continue;
+        }
+        for (const j of [(i + 1) % 3, (i + 2) % 3]) {
+            const k = 3 - i - j;
+            /* Law of sines: sin(sides[j]) / sin(angles[j]) = sin(sides[i]) / sin(angles[i]) */
+            const ratio = Math.sin(sides[i]) / Math.sin(angles[i]);
+            let candidates;
+            if (known(sides[j])) {
+                //result.debug="SSA";
+                const D = Math.sin(sides[j]) / ratio;
+                if (D > 1) {
+                    return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
+                }
+                const angle = Math.asin(Math.min(D, 1));
+                candidates = [[sides[j], angle], [sides[j], Math.PI - angle]];
+            } else if (known(angles[j])) {
+                //result.debug="AAS";
+                const D = Math.sin(angles[j]) * ratio;
+                if (D > 1) {
+                    return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
+                }
+                const side = Math.asin(Math.min(D, 1));
+                candidates = [[side, angles[j]], [Math.PI - side, angles[j]]];
+            } else {
+                continue;
+            }
+            /* Both candidates are equal if the asin is 90 degrees */
+            if (equalFloat(candidates[0][0], candidates[1][0], 1e-12) && equalFloat(candidates[0][1], candidates[1][1], 1e-12)) {
+                candidates.pop();
+            }
+            for (const [sideJ, angleJ] of candidates) {
+                const completed = completeWithNapier(sides[i], sideJ, angles[i], angleJ);
+                if (completed === null) {
+                    continue;
+                }
+                const fullSides = [];
+                const fullAngles = [];
+                fullSides[i] = sides[i];
+                fullAngles[i] = angles[i];
+                fullSides[j] = sideJ;
+                fullAngles[j] = angleJ;
+                [fullSides[k], fullAngles[k]] = completed;
+                addSphericalSolution(fullSides, fullAngles, result, parameterCount);
+            }
+            if (result.solutions.length === 0 && !result.error) {
+                addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
+            }
+            return result;
+        }
+    }
+
+    return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No solution is possible for given parameters.`, givenParameters(result));
+}
@@ -0,0 +1,258 @@
+/**
+ * @author Michael Meigel
+ *
+ * Surveying: forward intersection, trilateration and three-point resection.
+ * Coordinates are two-dimensional with x to the east and y to the north, bearings are azimuths measured clockwise from north.
+ */
+
+import { solve, solvePoints } from "./index.js";
+import { addError, errorCodes } from "./errors.js";
+import { angleUnits, checkMode, parseAngle } from "./angles.js";
+import { readPoint } from "./points.js";
+
+/* Relative tolerance for tangent circles in trilateration and for the check of the observed angles in resection */
+const tolerance = 1e-9;
+
+/**
+ * Solution of a surveying problem.
+ * @typedef {Object} surveyingSolution
+ * @property {Point} point - Coordinates of the unknown point P
+ * @property {Array.triangleSolution} triangles - Solved triangles with P as vertex C, empty if they are degenerate
+ */
+
+/**
+ * Validates mode and known points, all problems are added to the result.
+ * @param {Object} result
+ * @param {Array.string} names Names of the known points in the result
+ * @returns {Array.Array.number} Points as [x, y], only valid if the result has no errors
+ */
+function readStations(result, names) {
+    checkMode(result, result.mode);
+    const points = names.map(name => {
+        const point = readPoint(result[name]);
+        if (point === null || point.length > 2) {
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal Parameter: ${name}: ${String(JSON.stringify(result[name])).replaceAll("\"", "'")} - Must be [x,y], {x,y} or {X,Y}.`, [name]);
+        }
+        return point;
+    });
+    for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+            if (points[i] && points[j] && points[i][0] === points[j][0] && points[i][1] === points[j][1]) {
+                addError(result, errorCodes.REPEATED_COORDINATES, `Repeated Coordinates: ${names[i]}: ${points[i]} and ${names[j]}: ${points[j]} - Coordinates must be unique.`, [names[i], names[j]]);
+            }
+        }
+    }
+    return points;
+}
+
+/**
+ * Reads an angle in radians.
+ * @param {Object} result
+ * @param {string} name
+ * @returns {number} NaN if the angle is invalid, an error is added to the result
+ */
+function readAngle(result, name) {
+    const angle = parseAngle(result[name], result.mode) / angleUnits[result.mode];
+    if (!Number.isFinite(angle)) {
+        addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${name} = ${result[name]} - Must be an angle or a bearing`, [name]);
+    }
+    return angle;
+}
+
+/**
+ * Normalizes an angle to the range -PI < angle <= PI.
+ * @param {number} angle Radians
+ * @returns {number}
+ */
+function normalize(angle) {
+    const turns = angle / (2 * Math.PI);
+    const normalized = (turns - Math.round(turns)) * 2 * Math.PI;
+    return normalized <= -Math.PI ? normalized + 2 * Math.PI : normalized;
+}
+
+/**
+ * Azimuth from one point to another, clockwise from north.
+ * @param {Array.number} from
+ * @param {Array.number} to
+ * @returns {number} Radians
+ */
+function azimuth(from, to) {
+    return Math.atan2(to[0] - from[0], to[1] - from[1]);
+}
+
+/**
+ * Forward intersection: the unknown point P is sighted from two known stations A and B.
+ * The triangle A, B, P is solved with the base AB and the angles at A and B (ASA).
+ * @example
+ * forwardIntersection([0, 0], [100, 0], 45, 315).solutions[0].point == {x:50, y:50}
+ * @param {Point} A - First station
+ * @param {Point} B - Second station
+ * @param {number|string} bearingA - Azimuth from A to P, also as bearing like "N 45° E"
+ * @param {number|string} bearingB - Azimuth from B to P
+ * @param {string} [mode="deg"] - Angle unit: "deg", "rad", "grad" or "turn"
+ * @returns {{solutions: Array.surveyingSolution, error: ?string}} - Additionally contains the parameters
+ */
+export function forwardIntersection(A, B, bearingA, bearingB, mode = "deg") {
+    const result = { A, B, bearingA, bearingB, mode, solutions: [] };
+    const [pA, pB] = readStations(result, ["A", "B"]);
+    if (result.errors) {
+        return result;
+    }
+    const [azimuthA, azimuthB] = [readAngle(result, "bearingA"), readAngle(result, "bearingB")];
+    if (result.errors) {
+        return result;
+    }
+
+    /* Angles at A and B, measured from the base. The rays only meet if they turn to the same side of AB */
+    const angleA = normalize(azimuthA - azimuth(pA, pB));
+    const angleB = normalize(azimuthB - azimuth(pB, pA));
+    if (!(angleA * angleB < 0) || Math.abs(angleA) + Math.abs(angleB) >= Math.PI) {
+        return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: The rays from A and B don't intersect.`, ["bearingA", "bearingB"]);
+    }
+    const toMode = angleUnits[mode];
+    const solved = solve({ c: Math.hypot(pB[0] - pA[0], pB[1] - pA[1]), alpha: Math.abs(angleA) * toMode, beta: Math.abs(angleB) * toMode, mode });
+    if (solved.error) {
+        return addError(result, solved.errors[0].code, solved.error, ["bearingA", "bearingB"]);
+    }
+    const triangle = solved.solutions[0];
+    /* Side b is the distance from A to P */
+    const point = { x: pA[0] + triangle.b * Math.sin(azimuthA), y: pA[1] + triangle.b * Math.cos(azimuthA) };
+    result.solutions.push({ point, triangles: [triangle] });
+    return result;
+}
+
+/**
+ * Trilateration: the unknown point P is located by its distances to two known points A and B.
+ * Like SSA there can be 0, 1 or 2 solutions. The triangle A, B, P is solved with its three sides (SSS),
+ * the first solution is left of the line from A to B, the second right of it.
+ * If the circles only touch there is one solution on the line AB without triangles.
+ * @example
+ * trilateration([0, 0], [8, 0], 5, 5).solutions.map(s => s.point) == [{x:4, y:3}, {x:4, y:-3}]
+ * @param {Point} A - First known point
+ * @param {Point} B - Second known point
+ * @param {number} distanceA - Distance from A to P
+ * @param {number} distanceB - Distance from B to P
+ * @param {string} [mode="deg"] - Angle unit of the triangles: "deg", "rad", "grad" or "turn"
+ * @returns {{solutions: Array.surveyingSolution, error: ?string}} - Additionally contains the parameters
+ */
+export function trilateration(A, B, distanceA, distanceB, mode = "deg") {
+    const result = { A, B, distanceA, distanceB, mode, solutions: [] };
+    const [pA, pB] = readStations(result, ["A", "B"]);
+    for (const name of ["distanceA", "distanceB"]) {
+        const distance = Number(result[name]);
+        if (!(Number.isFinite(distance) && distance > 0)) {
+            addError(result, errorCodes.ILLEGAL_VALUE, `Illegal value: ${name} = ${result[name]} - Distances must be numbers >0`, [name]);
+        }
+    }
+    if (result.errors) {
+        return result;
+    }
+    const [dA, dB] = [Number(distanceA), Number(distanceB)];
+    const base = Math.hypot(pB[0] - pA[0], pB[1] - pA[1]);
+    const [ux, uy] = [(pB[0] - pA[0]) / base, (pB[1] - pA[1]) / base];
+
+    /* Touching circles, the triangle is degenerate */
+    const scale = tolerance * Math.max(base, dA, dB);
+    if (Math.abs(dA + dB - base) <= scale || Math.abs(Math.abs(dA - dB) - base) <= scale) {
+        const direction = dA + dB - base <= scale || dA > dB ? 1 : -1;
+        result.solutions.push({ point: { x: pA[0] + direction * dA * ux, y: pA[1] + direction * dA * uy }, triangles: [] });
+        return result;
+    }
+    const solved = solve({ a: dB, b: dA, c: base, mode });
+    if (solved.error) {
+        return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: The circles around A and B don't intersect.`, ["distanceA", "distanceB"]);
+    }
+    const triangle = solved.solutions[0];
+    const alpha = triangle.alpha / angleUnits[mode];
+    /* Rotate the direction from A to B by alpha counterclockwise (left) and clockwise (right) */
+    for (const side of [1, -1]) {
+        const [cos, sin] = [Math.cos(alpha), side * Math.sin(alpha)];
+        const point = { x: pA[0] + dA * (ux * cos - uy * sin), y: pA[1] + dA * (ux * sin + uy * cos) };
+        result.solutions.push({ point, triangles: [{ ...triangle }] });
+    }
+    return result;
+}
+
+/* Complex numbers as [re, im] */
+const complex = {
+    sub: (p, q) => { return [p[0] - q[0], p[1] - q[1]] },
+    mul: (p, q) => { return [p[0] * q[0] - p[1] * q[1], p[0] * q[1] + p[1] * q[0]] },
+    div: (p, q) => {
+        const n = q[0] * q[0] + q[1] * q[1];
+        return [(p[0] * q[0] + p[1] * q[1]) / n, (p[1] * q[0] - p[0] * q[1]) / n];
+    },
+    exp: (angle) => { return [Math.cos(angle), Math.sin(angle)] }
+};
+
+/**
+ * Center of the circle of all points P from which the chord from p to q is seen under a directed angle,
+ * arg((q - P) / (p - P)) = angle. The center angle is twice the inscribed angle, so q - O = e^(2i angle) (p - O).
+ * @param {Array.number} p
+ * @param {Array.number} q
+ * @param {number} angle Counterclockwise, radians
+ * @returns {?Array.number} null if the angle is 0 or 180 degrees, then the points are on the line through p and q
+ */
+function circleCenter(p, q, angle) {
+    if (Math.abs(Math.sin(angle)) < tolerance) {
+        return null;
+    }
+    const rotation = complex.exp(2 * angle);
+    return complex.div(complex.sub(q, complex.mul(rotation, p)), complex.sub([1, 0], rotation));
+}
+
+/**
+ * Three-point resection: the observer P measures the angles between the directions to three known points A, B and C.
+ * P lies on a circle through A and B and on a circle through B and C, it is the reflection of B at the line through both centers.
+ * If P lies on the circle through A, B and C (the danger circle) its position is undetermined.
+ * @example
+ * resection([0, 100], [100, 100], [100, 0], 90, 90).solutions[0].point == {x:50, y:50}
+ * @param {Point} A - First known point
+ * @param {Point} B - Second known point
+ * @param {Point} C - Third known point
+ * @param {number|string} angleAB - Angle at P from the direction to A clockwise to the direction to B
+ * @param {number|string} angleBC - Angle at P from the direction to B clockwise to the direction to C
+ * @param {string} [mode="deg"] - Angle unit: "deg", "rad", "grad" or "turn"
+ * @returns {{solutions: Array.surveyingSolution, error: ?string}} - Additionally contains the parameters.
+ * The triangles are (A, B, P) and (B, C, P).
+ */
+export function resection(A, B, C, angleAB, angleBC, mode = "deg") {
+    const result = { A, B, C, angleAB, angleBC, mode, solutions: [] };
+    const [pA, pB, pC] = readStations(result, ["A", "B", "C"]);
+    if (result.errors) {
+        return result;
+    }
+    const [theta1, theta2] = [readAngle(result, "angleAB"), readAngle(result, "angleBC")];
+    if (result.errors) {
+        return result;
+    }
+
+    /* Clockwise angles are negative directed angles */
+    const [center1, center2] = [circleCenter(pA, pB, -theta1), circleCenter(pB, pC, -theta2)];
+    /* Point and direction of the mirror line, perpendicular to AB or BC if one of the circles is a line */
+    let origin;
+    let direction;
+    if (center1 && center2) {
+        [origin, direction] = [center1, complex.sub(center2, center1)];
+    } else if (center1 || center2) {
+        const [p, q] = center1 ? [pB, pC] : [pA, pB];
+        [origin, direction] = [center1 ?? center2, complex.mul([0, 1], complex.sub(q, p))];
+    }
+    const scale = Math.max(...[pA, pB, pC].flatMap(p => { return p.map(Math.abs) }), 1);
+    if (!direction || Math.hypot(...direction) <= tolerance * scale) {
+        return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: P lies on the circle through A, B and C (danger circle), its position is undetermined.`, ["A", "B", "C", "angleAB", "angleBC"]);
+    }
+    /* Reflection of B: w -> u^2 * conj(w) for a unit direction u */
+    const u = complex.div(direction, [Math.hypot(...direction), 0]);
+    const w = complex.sub(pB, origin);
+    const reflected = complex.mul(complex.mul(u, u), [w[0], -w[1]]);
+    const P = [origin[0] + reflected[0], origin[1] + reflected[1]];
+
+    /* The circles also contain the points which see the chords under the supplementary angles, so the angles are checked */
+    const observed = [normalize(azimuth(P, pB) - azimuth(P, pA) - theta1), normalize(azimuth(P, pC) - azimuth(P, pB) - theta2)];
+    if ([pA, pB, pC].some(p => { return Math.hypot(p[0] - P[0], p[1] - P[1]) <= tolerance * scale }) || observed.some(x => { return Math.abs(x) > 1e-6 })) {
+        return addError(result, errorCodes.NO_SOLUTION, `Unsolvable: No position matches the observed angles.`, ["angleAB", "angleBC"]);
+    }
+    const point = { x: P[0], y: P[1] };
+    result.solutions.push({ point, triangles: [solvePoints(A, B, point, mode).solutions[0], solvePoints(B, C, point, mode).solutions[0]] });
+    return result;
+}
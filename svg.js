@@ -0,0 +1,175 @@
+/**
+ * @author Michael Meigel
+ *
+ * Renders results of solve() and solvePoints() as standalone SVG images.
+ */
+
+import { placeSolution } from "./index.js";
+import { readPoint } from "./points.js";
+
+/* Unit suffix of angle values in labels */
+const angleSuffixes = { deg: "°", rad: " rad", grad: " gon", turn: " tr" };
+/* Greek letters of the angles at A, B and C */
+const angleLetters = ["α", "β", "γ"];
+
+/**
+ * Vertices of a solution and the solution with calculated Points.
+ * Solutions of solvePoints keep their coordinates, other solutions and three-dimensional triangles are placed in the plane.
+ * @param {Object} result
+ * @param {triangleSolution} solution
+ * @param {string} mode Angle mode of the solution
+ * @returns {{vertices: Array.Array.number, solution: triangleSolution}}
+ */
+function verticesOf(result, solution, mode) {
+    const given = ["A", "B", "C"].map(name => { return readPoint(result[name]) });
+    if (solution.centroid && given.every(p => { return p !== null && p.length === 2 })) {
+        return { vertices: given, solution };
+    }
+    const placed = placeSolution(solution, { mode });
+    return { vertices: ["A", "B", "C"].map(name => { return [placed[name].x, placed[name].y] }), solution: placed.solutions[0] };
+}
+
+/**
+ * Formats a number for SVG attributes.
+ * @param {number} x
+ * @returns {number}
+ */
+function fmt(x) {
+    return Number(x.toFixed(2));
+}
+
+/**
+ * Renders the solutions of a result as standalone SVG image.
+ * Vertices, sides and angles are labeled, angles are marked with arcs, right angles with a square.
+ * Several solutions, e.g. both triangles of the ambiguous case SSA, are drawn side by side in the same scale.
+ * @example
+ * const svg = renderSVG(solve({a:3, b:4, c:5}), {incircle:true, values:true});
+ * @param {solveResult} result Result of {@link solve}, {@link solvePoints} or {@link placeSolution}
+ * @param {Object} [options]
+ * @param {number} [options.width=400] Width of the drawing of one solution in pixels
+ * @param {boolean} [options.incircle=false] Draws the incircle
+ * @param {boolean} [options.circumcircle=false] Draws the circumcircle
+ * @param {boolean} [options.centroid=false] Draws the centroid and the medians
+ * @param {boolean} [options.altitudes=false] Draws the altitudes
+ * @param {boolean} [options.values=false] Adds the side lengths and angle values to the labels
+ * @param {number} [options.precision=2] Decimal places of the values
+ * @returns {?string} SVG document, null if the result has no solutions
+ */
+export function renderSVG(result, { width = 400, incircle = false, circumcircle = false, centroid = false, altitudes = false, values = false, precision = 2 } = {}) {
+    if (typeof result !== "object" || result === null || !Array.isArray(result.solutions) || result.solutions.length === 0) {
+        return null;
+    }
+    const mode = result.outputMode ?? result.mode ?? "deg";
+    const panels = result.solutions.map(s => { return verticesOf(result, s, mode) });
+
+    /* Bounding box of every panel, including the enabled circles */
+    const boxes = panels.map(({ vertices, solution }) => {
+        const xs = vertices.map(v => { return v[0] });
+        const ys = vertices.map(v => { return v[1] });
+        for (const [enabled, circle] of [[incircle, solution.incircle], [circumcircle, solution.circumcircle]]) {
+            if (enabled) {
+                xs.push(circle.center.x - circle.radius, circle.center.x + circle.radius);
+                ys.push(circle.center.y - circle.radius, circle.center.y + circle.radius);
+            }
+        }
+        if (altitudes) {
+            for (const foot of Object.values(solution.altitudeFeet)) {
+                xs.push(foot.x);
+                ys.push(foot.y);
+            }
+        }
+        return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+    });
+    /* Common scale, so several solutions can be compared */
+    const margin = 40;
+    const scale = Math.min(...boxes.map(b => { return (width - 2 * margin) / Math.max(b.maxX - b.minX, b.maxY - b.minY) }));
+    const height = Math.max(...boxes.map(b => { return (b.maxY - b.minY) * scale })) + 2 * margin;
+
+    const label = (name, value, suffix = "") => {
+        return values ? `${name} = ${Number(value.toFixed(precision))}${suffix}` : name;
+    };
+    const text = (x, y, content, anchor = "middle") => {
+        return `<text x="${fmt(x)}" y="${fmt(y)}" text-anchor="${anchor}" dominant-baseline="middle" font-family="sans-serif" font-size="14">${content}</text>`;
+    };
+    const line = (p, q, style = "") => {
+        return `<line x1="${fmt(p[0])}" y1="${fmt(p[1])}" x2="${fmt(q[0])}" y2="${fmt(q[1])}" stroke="#000" stroke-width="1"${style}/>`;
+    };
+    const circle = (center, r, fill = "none") => {
+        return `<circle cx="${fmt(center[0])}" cy="${fmt(center[1])}" r="${fmt(r)}" fill="${fill}" stroke="#000" stroke-width="1"/>`;
+    };
+
+    const drawings = panels.map(({ vertices, solution }, index) => {
+        const box = boxes[index];
+        /* SVG coordinates, y axis points down */
+        const offsetX = index * width + (width - (box.maxX - box.minX) * scale) / 2;
+        const offsetY = (height - (box.maxY - box.minY) * scale) / 2;
+        const toSVG = (p) => { return [offsetX + (p[0] - box.minX) * scale, offsetY + (box.maxY - p[1]) * scale] };
+        const point = (p) => { return toSVG([p.x, p.y]) };
+        const [A, B, C] = vertices.map(toSVG);
+        const corners = [A, B, C];
+        const center = [(A[0] + B[0] + C[0]) / 3, (A[1] + B[1] + C[1]) / 3];
+        const unit = (p, q) => { const l = Math.hypot(q[0] - p[0], q[1] - p[1]); return [(q[0] - p[0]) / l, (q[1] - p[1]) / l] };
+        const parts = [];
+
+        if (incircle) {
+            parts.push(`<g class="incircle">${circle(point(solution.incircle.center), solution.incircle.radius * scale)}${circle(point(solution.incircle.center), 2, "#000")}</g>`);
+        }
+        if (circumcircle) {
+            parts.push(`<g class="circumcircle">${circle(point(solution.circumcircle.center), solution.circumcircle.radius * scale)}${circle(point(solution.circumcircle.center), 2, "#000")}</g>`);
+        }
+        if (centroid) {
+            const medians = corners.map((p, i) => { return line(p, [(corners[(i + 1) % 3][0] + corners[(i + 2) % 3][0]) / 2, (corners[(i + 1) % 3][1] + corners[(i + 2) % 3][1]) / 2], ` stroke-dasharray="4 3"`) });
+            parts.push(`<g class="centroid">${medians.join("")}${circle(point(solution.centroid), 2.5, "#000")}</g>`);
+        }
+        if (altitudes) {
+            const feet = ["a", "b", "c"].map(side => { return point(solution.altitudeFeet[side]) });
+            const lines = corners.map((p, i) => {
+                /* Obtuse triangles: the foot lies on the extension of the opposite side */
+                const [q, r] = [corners[(i + 1) % 3], corners[(i + 2) % 3]];
+                const nearest = Math.hypot(feet[i][0] - q[0], feet[i][1] - q[1]) < Math.hypot(feet[i][0] - r[0], feet[i][1] - r[1]) ? q : r;
+                const onSide = Math.abs(Math.hypot(feet[i][0] - q[0], feet[i][1] - q[1]) + Math.hypot(feet[i][0] - r[0], feet[i][1] - r[1]) - Math.hypot(r[0] - q[0], r[1] - q[1])) < 1e-6;
+                return line(p, feet[i], ` stroke-dasharray="4 3"`) + (onSide ? "" : line(nearest, feet[i], ` stroke-dasharray="1 3"`));
+            });
+            parts.push(`<g class="altitudes">${lines.join("")}</g>`);
+        }
+
+        /* Angle arcs, radius depends on the shortest adjacent side */
+        const arcs = corners.map((p, i) => {
+            const [q, r] = [corners[(i + 1) % 3], corners[(i + 2) % 3]];
+            const radius = Math.min(25, 0.3 * Math.hypot(q[0] - p[0], q[1] - p[1]), 0.3 * Math.hypot(r[0] - p[0], r[1] - p[1]));
+            const [u, v] = [unit(p, q), unit(p, r)];
+            const angle = Math.acos(Math.max(-1, Math.min(1, u[0] * v[0] + u[1] * v[1])));
+            if (Math.abs(angle - Math.PI / 2) < 1e-9) {
+                const s = radius * 0.7;
+                return `<path d="M ${fmt(p[0] + u[0] * s)} ${fmt(p[1] + u[1] * s)} L ${fmt(p[0] + (u[0] + v[0]) * s)} ${fmt(p[1] + (u[1] + v[1]) * s)} L ${fmt(p[0] + v[0] * s)} ${fmt(p[1] + v[1] * s)}" fill="none" stroke="#000" stroke-width="1"/>`;
+            }
+            const sweep = u[0] * v[1] - u[1] * v[0] > 0 ? 1 : 0;
+            return `<path d="M ${fmt(p[0] + u[0] * radius)} ${fmt(p[1] + u[1] * radius)} A ${fmt(radius)} ${fmt(radius)} 0 0 ${sweep} ${fmt(p[0] + v[0] * radius)} ${fmt(p[1] + v[1] * radius)}" fill="none" stroke="#000" stroke-width="1"/>`;
+        });
+        parts.push(`<g class="angles">${arcs.join("")}</g>`);
+        parts.push(`<polygon class="triangle" points="${corners.map(p => { return `${fmt(p[0])},${fmt(p[1])}` }).join(" ")}" fill="none" stroke="#000" stroke-width="1.5" stroke-linejoin="round"/>`);
+
+        /* Labels: vertices outside, sides outside next to their midpoint, angles inside along the bisector */
+        const labels = [];
+        const angleValues = [solution.alpha, solution.beta, solution.gamma];
+        corners.forEach((p, i) => {
+            const out = unit(center, p);
+            labels.push(text(p[0] + out[0] * 14, p[1] + out[1] * 14, ["A", "B", "C"][i]));
+            const [q, r] = [corners[(i + 1) % 3], corners[(i + 2) % 3]];
+            const [u, v] = [unit(p, q), unit(p, r)];
+            const bisector = unit([0, 0], [u[0] + v[0], u[1] + v[1]]);
+            const distance = Math.min(25, 0.3 * Math.hypot(q[0] - p[0], q[1] - p[1]), 0.3 * Math.hypot(r[0] - p[0], r[1] - p[1])) + (values ? 30 : 10);
+            labels.push(text(p[0] + bisector[0] * distance, p[1] + bisector[1] * distance, label(angleLetters[i], angleValues[i], angleSuffixes[mode] ?? "")));
+            /* Side opposite of vertex i */
+            const middle = [(q[0] + r[0]) / 2, (q[1] + r[1]) / 2];
+            const away = unit(p, middle);
+            labels.push(text(middle[0] + away[0] * 14, middle[1] + away[1] * 14, label(["a", "b", "c"][i], solution[["a", "b", "c"][i]])));
+        });
+        parts.push(`<g class="labels">${labels.join("")}</g>`);
+        return `<g class="solution" id="solution${index + 1}">${parts.join("")}</g>`;
+    });
+
+    const totalWidth = width * panels.length;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(totalWidth)}" height="${fmt(height)}" viewBox="0 0 ${fmt(totalWidth)} ${fmt(height)}">`
+        + `<rect width="100%" height="100%" fill="#fff"/>${drawings.join("")}</svg>`;
+}
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, solveSpherical, parseAngle, formatDMS } from "../index.js";
+import { assertClose } from "./helpers.js";
+
+test("parseAngle reads DMS strings and bearings", () => {
+    assertClose(parseAngle("30°30'"), 30.5);
+    assertClose(parseAngle("N 45° W", "rad"), 7 * Math.PI / 4);
+    assertClose(parseAngle("S 30° E"), 150);
+    assert.equal(parseAngle(12), 12);
+    assert.ok(Number.isNaN(parseAngle("30°75'")));
+    assert.ok(Number.isNaN(parseAngle("N 100° E")));
+});
+
+test("formatDMS", () => {
+    assert.equal(formatDMS(30.25555555), `30°15'20"`);
+    assert.equal(formatDMS(135, { bearing: true }), `S 45°00'00" E`);
+    assert.equal(formatDMS(59.99999), `60°00'00"`);
+    assert.equal(formatDMS(10, { mode: "xx" }), null);
+});
+
+test("angles are given in the input mode", () => {
+    const radians = solve({ a: 3, b: 4, gamma: Math.PI / 2, mode: "rad", outputMode: "deg" });
+    assertClose(radians.solutions[0].c, 5);
+    assertClose(radians.solutions[0].gamma, 90);
+    const dms = solve({ a: 3, b: 4, gamma: "90°" });
+    assertClose(dms.solutions[0].c, 5);
+});
+
+test("angle limits are shown in the mode", () => {
+    assert.match(solve({ a: 3, b: 4, gamma: 4, mode: "rad" }).error, /<3\.141592653589793\(rad\)/);
+    assert.match(solve({ a: 3, b: 4, gamma: 250, mode: "grad" }).error, /<200\(grad\)/);
+    assert.match(solveSpherical({ a: 4, b: 1, c: 1, mode: "rad" }).error, /<3\.141592653589793\(rad\)/);
+});
+
+test("unknown mode is reported once", () => {
+    const result = solve({ a: 3, b: 4, c: 5, mode: "xx" });
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.errors[0].code, "UNKNOWN_MODE");
+    assert.deepEqual(result.errors[0].parameters, ["mode"]);
+    const output = solve({ a: 3, b: 4, c: 5, outputMode: "xx" });
+    assert.deepEqual(output.errors.map(e => { return e.code }), ["UNKNOWN_MODE"]);
+    assert.equal(solveSpherical({ a: 1, b: 1, c: 1, mode: "xx" }).errors.length, 1);
+});
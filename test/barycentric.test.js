@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solvePoints, cartesianToBarycentric, barycentricToCartesian, cartesianToTrilinear, trilinearToCartesian, locatePoint, closestPoint, interpolateAttributes } from "../index.js";
+import { assertClose, assertPoint } from "./helpers.js";
+
+const triangle = solvePoints([0, 0], [4, 0], [0, 4]);
+
+test("barycentric coordinates", () => {
+    const weights = cartesianToBarycentric(triangle, [1, 1]);
+    [0.5, 0.25, 0.25].forEach((w, i) => { assertClose(weights[i], w) });
+    assertPoint(barycentricToCartesian(triangle, [1, 1, 2]), 1, 2);
+    assert.equal(barycentricToCartesian(triangle, [1, -1, 0]), null);
+    const space = solvePoints([0, 0, 0], [4, 0, 0], [0, 4, 0]);
+    assert.deepEqual(barycentricToCartesian(space, [0.5, 0.5, 0]), { x: 2, y: 0, z: 0 });
+});
+
+test("trilinear coordinates", () => {
+    const distances = cartesianToTrilinear(triangle, [1, 1]);
+    assertClose(distances[0], Math.SQRT2);
+    assertClose(distances[1], 1);
+    assertClose(distances[2], 1);
+    /* Incenter has equal distances to all sides */
+    const incenter = trilinearToCartesian(triangle, [1, 1, 1]);
+    assertPoint(incenter, triangle.solutions[0].incircle.center.x, triangle.solutions[0].incircle.center.y);
+});
+
+test("point location", () => {
+    assert.equal(locatePoint(triangle, [1, 1]).location, "inside");
+    assert.deepEqual(locatePoint(triangle, [2, 0]), { location: "edge", side: "c", barycentric: [0.5, 0.5, 0] });
+    assert.equal(locatePoint(triangle, { x: 0, y: 4 }).vertex, "C");
+    assert.equal(locatePoint(triangle, [3, 3]).location, "outside");
+    assert.equal(locatePoint(triangle, [2, 1e-12]).location, "edge");
+    assert.equal(locatePoint(solvePoints([0, 0, 0], [4, 0, 0], [0, 4, 0]), [1, 1, 1]).location, "outside");
+});
+
+test("closest point", () => {
+    const outside = closestPoint(triangle, [5, -1]);
+    assertPoint(outside.point, 4, 0);
+    assertClose(outside.distance, Math.SQRT2);
+    const inside = closestPoint(triangle, [1, 1]);
+    assertPoint(inside.point, 1, 1);
+    assert.equal(inside.distance, 0);
+    const above = closestPoint(solvePoints([0, 0, 0], [4, 0, 0], [0, 4, 0]), [1, 1, 2]);
+    assert.deepEqual(above.point, { x: 1, y: 1, z: 0 });
+    assertClose(above.distance, 2);
+});
+
+test("interpolation of attributes", () => {
+    assert.deepEqual(interpolateAttributes(triangle, [1, 1], [{ u: 0, v: 0 }, { u: 1, v: 0 }, { u: 0, v: 1 }]), { u: 0.25, v: 0.25 });
+    assert.deepEqual(interpolateAttributes(triangle, [2, 0], [[0, 2], [4, 6], [8, 8]]), [2, 4]);
+    assert.equal(interpolateAttributes(triangle, [1, 1], [1, 2]), null);
+});
+
+test("invalid triangles and points", () => {
+    assert.equal(cartesianToBarycentric(triangle, [1, "x"]), null);
+    assert.equal(locatePoint({ A: [0, 0], B: [1, 1], C: [2, 2] }, [1, 1]), null);
+    assert.equal(closestPoint(null, [1, 1]), null);
+});
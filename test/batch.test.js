@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, solveBatch, solvePointsBatch, batchStatus } from "../index.js";
+import { assertClose } from "./helpers.js";
+
+test("rows are solved like solve", () => {
+    const out = solveBatch({
+        a: new Float64Array([3, 1, 3, 3, NaN]),
+        b: new Float64Array([4, 1, 4, 4, 4]),
+        c: new Float64Array([5, 5, NaN, NaN, NaN]),
+        alpha: new Float64Array([NaN, NaN, 30, NaN, 50]),
+        beta: new Float64Array([NaN, NaN, NaN, NaN, 60]),
+        gamma: new Float64Array([NaN, NaN, NaN, 90, NaN])
+    });
+    assert.deepEqual(Array.from(out.status), [batchStatus.OK, batchStatus.NO_SOLUTION, batchStatus.TWO_SOLUTIONS, batchStatus.OK, batchStatus.OK]);
+    assertClose(out.gamma[0], 90);
+    assertClose(out.area[0], 6);
+    assertClose(out.inradius[0], 1);
+    assertClose(out.circumradius[0], 2.5);
+    assert.ok(Number.isNaN(out.a[1]));
+    const ssa = solve({ a: 3, b: 4, alpha: 30 }).solutions[0];
+    for (const name of ["c", "beta", "gamma"]) {
+        assertClose(out[name][2], ssa[name]);
+    }
+    assertClose(out.c[3], 5);
+    const asa = solve({ b: 4, alpha: 50, beta: 60 }).solutions[0];
+    assertClose(out.a[4], asa.a);
+    assertClose(out.c[4], asa.c);
+});
+
+test("status of invalid rows", () => {
+    const out = solveBatch({ a: [3, -1, 3], b: [4, 4, NaN], c: [5, 5, NaN], gamma: [80, NaN, NaN] });
+    assert.deepEqual(Array.from(out.status), [batchStatus.INCONSISTENT_INPUT, batchStatus.ILLEGAL_VALUE, batchStatus.TOO_FEW_PARAMETERS]);
+    assert.equal(solveBatch({ a: [3], b: [4], c: [5] }, { outputMode: "xx" }).status[0], batchStatus.UNKNOWN_MODE);
+});
+
+test("angle modes and reused output arrays", () => {
+    const output = { gamma: new Float64Array(4) };
+    const out = solveBatch({ a: [3], b: [4], gamma: [Math.PI / 2] }, { mode: "rad", outputMode: "grad", output });
+    assert.equal(out.gamma, output.gamma);
+    assertClose(out.gamma[0], 100);
+    assertClose(out.c[0], 5);
+    assert.throws(() => { solveBatch({ a: [3, 4], b: [4] }) }, RangeError);
+    assert.throws(() => { solveBatch({ a: [3], b: [4], c: [5] }, { output: { a: new Float64Array(0) } }) }, RangeError);
+});
+
+test("points in two and three dimensions", () => {
+    const flat = solvePointsBatch(new Float64Array([0, 0, 4, 0, 0, 3, 1, 1, 1, 1, 2, 2, 0, 0, 1, 1, 2, 2]));
+    assert.deepEqual(Array.from(flat.status), [batchStatus.OK, batchStatus.REPEATED_COORDINATES, batchStatus.NO_SOLUTION]);
+    assertClose(flat.alpha[0], 90);
+    assertClose(flat.a[0], 5);
+    const space = solvePointsBatch([0, 0, 0, 0, 4, 0, 0, 0, 3], { dimension: 3, mode: "rad" });
+    assertClose(space.alpha[0], Math.PI / 2);
+    assertClose(space.area[0], 6);
+    assert.throws(() => { solvePointsBatch([0, 0, 1], { dimension: 2 }) }, RangeError);
+    assert.throws(() => { solvePointsBatch([], { dimension: 4 }) }, RangeError);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, solvePoints, triangleCenters } from "../index.js";
+import { assertClose, assertPoint } from "./helpers.js";
+
+test("classical centers match solvePoints", () => {
+    const triangle = solvePoints([1, 0], [5, 1], [2, 4]);
+    const solution = triangle.solutions[0];
+    const centers = triangleCenters(triangle);
+    assert.equal(centers.X1.name, "incenter");
+    for (const [name, point] of [["X1", solution.incircle.center], ["X2", solution.centroid], ["X3", solution.circumcircle.center],
+        ["X4", solution.orthocenter], ["X5", solution.ninePointCircle.center]]) {
+        assertPoint(centers[name].point, point.x, point.y);
+    }
+    assertClose(centers.X1.barycentric.reduce((s, w) => { return s + w }), 1);
+});
+
+test("symmedian point and de Longchamps point", () => {
+    const triangle = solvePoints([0, 0], [4, 0], [0, 3]);
+    const centers = triangleCenters(triangle);
+    assertPoint(centers.X6.point, 0.72, 0.96);
+    /* de Longchamps point is the reflection of the orthocenter in the circumcenter */
+    assertPoint(centers.X20.point, 4, 3);
+});
+
+test("Fermat point sees every side under 120 degrees", () => {
+    const [A, B, C] = [[0, 0], [6, 0], [2, 4]];
+    const { x, y } = triangleCenters(solvePoints(A, B, C)).X13.point;
+    const angle = (P, Q) => { return Math.acos(((P[0] - x) * (Q[0] - x) + (P[1] - y) * (Q[1] - y)) / (Math.hypot(P[0] - x, P[1] - y) * Math.hypot(Q[0] - x, Q[1] - y))) * 180 / Math.PI };
+    assertClose(angle(A, B), 120);
+    assertClose(angle(B, C), 120);
+});
+
+test("solutions of solve have barycentric coordinates only", () => {
+    const centers = triangleCenters(solve({ a: 3, b: 4, c: 5 }).solutions[0]);
+    assert.equal(centers.X2.point, undefined);
+    assert.deepEqual(centers.X1.barycentric, [0.25, 1 / 3, 5 / 12]);
+    /* Right angle at C: the orthocenter is C */
+    centers.X4.barycentric.forEach((w, i) => { assertClose(w, [0, 0, 1][i]) });
+});
+
+test("invalid triangles", () => {
+    assert.equal(triangleCenters(null), null);
+    assert.equal(triangleCenters({ a: 1, b: 2, c: 3 }), null);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, solvePoints, solveCevian } from "../index.js";
+import { assertClose, assertPoint } from "./helpers.js";
+
+test("medians and angle bisectors of solutions", () => {
+    const solution = solve({ a: 3, b: 4, c: 5 }).solutions[0];
+    assertClose(solution.ma, Math.sqrt(73) / 2);
+    assertClose(solution.mc, 2.5);
+    assertClose(solution.tc, 12 * Math.SQRT2 / 7);
+    const median = solveCevian(solution, { vertex: "C", ratio: 0.5 }).solutions[0];
+    assertClose(median.length, solution.mc);
+    const bisector = solveCevian(solution, { vertex: "A", ratio: 5 / 9 }).solutions[0];
+    assertClose(bisector.length, solution.ta);
+    assertClose(bisector.vertexAngles[0], bisector.vertexAngles[1]);
+    assertClose(bisector.vertexAngles[0] + bisector.vertexAngles[1], solution.alpha);
+    assertClose(bisector.footAngles[0] + bisector.footAngles[1], 180);
+});
+
+test("sub-triangles", () => {
+    const cevian = solveCevian(solve({ a: 3, b: 4, c: 5 }).solutions[0], { vertex: "B", ratio: 0.25 }).solutions[0];
+    const [first, second] = cevian.triangles;
+    assertClose(first.a, 1);
+    assertClose(second.a, 3);
+    assertClose(first.b, cevian.length);
+    assertClose(second.c, cevian.length);
+    assertClose(first.area + second.area, 6);
+});
+
+test("foot given as point", () => {
+    const cevian = solveCevian(solvePoints([0, 0], [4, 0], [0, 3]), { vertex: "A", point: { x: 2, y: 1.5 } }).solutions[0];
+    assertClose(cevian.ratio, 0.5);
+    assertClose(cevian.length, 2.5);
+    assertPoint(cevian.foot, 2, 1.5);
+    const space = solveCevian(solvePoints([0, 0, 0], [4, 0, 0], [0, 3, 0]), { vertex: "C", ratio: 0.5 }).solutions[0];
+    assert.deepEqual(space.foot, { x: 2, y: 0, z: 0 });
+});
+
+test("errors", () => {
+    const solution = solve({ a: 3, b: 4, c: 5 }).solutions[0];
+    assert.equal(solveCevian(solution, {}).errors[0].code, "TOO_FEW_PARAMETERS");
+    assert.equal(solveCevian(solution, { ratio: 1 }).errors[0].code, "ILLEGAL_VALUE");
+    assert.deepEqual(solveCevian(solution, { vertex: "D", ratio: 0.5, mode: "xx" }).errors.map(e => { return e.code }), ["UNKNOWN_MODE", "ILLEGAL_VALUE"]);
+    assert.equal(solveCevian(solution, { point: [1, 1] }).errors[0].code, "ILLEGAL_VALUE");
+    assert.equal(solveCevian(solvePoints([0, 0], [4, 0], [0, 3]), { point: [1, 1] }).errors[0].code, "NO_SOLUTION");
+    assert.equal(solveCevian({ a: 3 }, { ratio: 0.5 }).errors[0].parameters[0], "triangle");
+});
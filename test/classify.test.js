@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, solvePoints, classifyTriangle, rankByQuality } from "../index.js";
+import { assertClose } from "./helpers.js";
+
+test("angle and side types", () => {
+    assert.equal(solve({ a: 3, b: 4, c: 5 }).solutions[0].classification.angleType, "right");
+    assert.equal(solve({ a: 3, b: 4, c: 6 }).solutions[0].classification.angleType, "obtuse");
+    const isosceles = solve({ a: 5, b: 5, c: 6 }).solutions[0].classification;
+    assert.equal(isosceles.angleType, "acute");
+    assert.equal(isosceles.sideType, "isosceles");
+    assert.equal(solve({ a: 3, b: 4, c: 5 }).solutions[0].classification.sideType, "scalene");
+});
+
+test("metrics of an equilateral triangle", () => {
+    const classification = solve({ a: 2, b: 2, c: 2 }).solutions[0].classification;
+    assert.equal(classification.sideType, "equilateral");
+    assertClose(classification.aspectRatio, 1);
+    assertClose(classification.minAngle, 60);
+    assertClose(classification.radiusRatio, 0.5);
+    assertClose(classification.radiusEdgeRatio, 1 / Math.sqrt(3));
+});
+
+test("tolerances and angle modes", () => {
+    assert.equal(solve({ a: 3, b: 4, gamma: 90.3 }).solutions[0].classification.angleType, "obtuse");
+    assert.equal(solve({ a: 3, b: 4, gamma: 90.3, classification: { angleTolerance: 0.5 } }).solutions[0].classification.angleType, "right");
+    const radians = solve({ a: 3, b: 4, c: 5, outputMode: "rad" }).solutions[0].classification;
+    assert.equal(radians.angleType, "right");
+    assertClose(radians.minAngle, Math.atan2(3, 4));
+    assert.equal(solvePoints([0, 0], [1, 0], [0.5, 0.86603], "deg", { sideTolerance: 1e-4 }).solutions[0].classification.sideType, "equilateral");
+});
+
+test("invalid solutions", () => {
+    assert.equal(classifyTriangle(null), null);
+    assert.equal(classifyTriangle({ a: 1, b: 1, c: 2, alpha: 0, beta: 0, gamma: 180 }), null);
+    assert.equal(classifyTriangle(solve({ a: 3, b: 4, c: 5 }).solutions[0], { mode: "xx" }), null);
+});
+
+test("ranking by quality", () => {
+    const solutions = [[3, 4, 5], [1, 1, 1], [1, 1, 1.9]].map(([a, b, c]) => { return solve({ a, b, c }).solutions[0] });
+    assert.deepEqual(rankByQuality(solutions).map(s => { return s.c }), [1, 5, 1.9]);
+    assert.deepEqual(rankByQuality(solutions, { metric: "aspectRatio" }).map(s => { return s.c }), [1, 5, 1.9]);
+    assert.deepEqual(rankByQuality([null, solutions[0]]), [solutions[0], null]);
+    assert.equal(rankByQuality(solutions, { metric: "size" }), null);
+});
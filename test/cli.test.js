@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const cli = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+/**
+ * Runs the command line tool.
+ * @param {Array.string} args
+ * @param {string} [input]
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args, input = "") {
+    return spawnSync(process.execPath, [cli, ...args], { input, encoding: "utf8" });
+}
+
+test("csv output of jobs from stdin", () => {
+    const { status, stdout } = run(["--format", "csv"], "{\"a\":3, \"b\":4, \"c\":5}\n{\"points\":[[0,0],[4,0],[0,3]]}\n");
+    assert.equal(status, 0);
+    assert.deepEqual(stdout.trim().split("\n"), [
+        "job,solution,a,b,c,alpha,beta,gamma,area,perimeter,error",
+        "1,1,3,4,5,36.8699,53.1301,90,6,12,",
+        "2,1,5,3,4,90,36.8699,53.1301,6,12,"
+    ]);
+});
+
+test("solutions returned with an error are printed", () => {
+    const { status, stdout } = run(["--a", "5", "--b", "8", "--alpha", "30", "--area", "7.8564064605510335", "--format", "csv"]);
+    assert.equal(status, 1);
+    const rows = stdout.trim().split("\n");
+    assert.equal(rows.length, 3);
+    assert.match(rows[1], /^1,1,5,8,3\.9282,/);
+    assert.match(rows[2], /^1,,.*different from input/);
+});
+
+test("invalid jobs give errors", () => {
+    const { status, stdout } = run(["--format", "json"], "nope\n[1]\n{\"points\":\"0,0 1,1\"}\n");
+    assert.equal(status, 1);
+    const results = stdout.trim().split("\n").map(line => { return JSON.parse(line) });
+    assert.deepEqual(results.map(r => { return r.errors[0].code }), ["ILLEGAL_VALUE", "ILLEGAL_VALUE", "ILLEGAL_VALUE"]);
+    assert.equal(results[0].error, "Illegal JSON: nope");
+    assert.match(results[1].error, /Must be a JSON Object/);
+    assert.deepEqual(results[2].errors[0].parameters, ["points"]);
+});
+
+test("points have no output mode", () => {
+    const { status, stdout } = run(["--points", "0,0 4,0 0,3", "--output-mode", "rad", "--format", "json"]);
+    assert.equal(status, 1);
+    const result = JSON.parse(stdout);
+    assert.equal(result.errors[0].code, "ILLEGAL_VALUE");
+    assert.deepEqual(result.errors[0].parameters, ["outputMode"]);
+});
+
+test("wrong usage", () => {
+    const { status, stderr } = run(["--format", "xml"]);
+    assert.equal(status, 2);
+    assert.match(stderr, /Usage: solve-triangle/);
+});
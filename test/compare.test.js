@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, solvePoints, compareTriangles } from "../index.js";
+import { assertClose, assertPoint } from "./helpers.js";
+
+test("congruent solutions with another labeling", () => {
+    const comparison = compareTriangles(solve({ a: 3, b: 4, c: 5 }).solutions[0], solve({ a: 4, b: 5, c: 3 }).solutions[0]);
+    assert.deepEqual(comparison, { similar: true, congruent: true, mirrored: false, scale: 1, correspondence: { A: "C", B: "A", C: "B" }, deviation: 0 });
+});
+
+test("similar and mirrored triangles with the transform", () => {
+    const comparison = compareTriangles(solvePoints([0, 0], [4, 0], [0, 3]), solvePoints([0, 0], [0, 8], [6, 0]));
+    assert.equal(comparison.similar, true);
+    assert.equal(comparison.congruent, false);
+    assert.equal(comparison.mirrored, true);
+    assert.equal(comparison.scale, 2);
+    assert.deepEqual(comparison.correspondence, { A: "A", B: "B", C: "C" });
+    const { transform } = comparison;
+    assert.equal(transform.reflection, true);
+    assertClose(transform.rotation, 90);
+    assertPoint(transform.translation, 0, 0);
+    assert.ok(transform.residual < 1e-12);
+});
+
+test("rigid transform of congruent triangles", () => {
+    const comparison = compareTriangles(solvePoints([0, 0], [4, 0], [0, 3]), solvePoints([1, 1], [1, 5], [-2, 1]), { mode: "rad" });
+    assert.equal(comparison.congruent, true);
+    assert.equal(comparison.mirrored, false);
+    assertClose(comparison.transform.rotation, Math.PI / 2);
+    assertPoint(comparison.transform.translation, 1, 1);
+});
+
+test("different triangles", () => {
+    const comparison = compareTriangles(solve({ a: 3, b: 4, c: 5 }).solutions[0], solve({ a: 3, b: 4, c: 6 }).solutions[0]);
+    assert.equal(comparison.similar, false);
+    assert.ok(comparison.deviation > 0.1);
+});
+
+test("invalid triangles and modes give errors", () => {
+    const triangle = solve({ a: 3, b: 4, c: 5 }).solutions[0];
+    const result = compareTriangles({}, triangle);
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.errors[0].code, "ILLEGAL_VALUE");
+    assert.deepEqual(result.errors[0].parameters, ["first"]);
+    assert.equal(result.error, "Illegal Parameter: first - Must be a solution of solve() or a result of solvePoints().");
+    assert.deepEqual(compareTriangles(triangle, null, { mode: "xx" }).errors.map(e => { return e.code }), ["UNKNOWN_MODE", "ILLEGAL_VALUE"]);
+});
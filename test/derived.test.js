@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, roundToPrecision } from "../index.js";
+import { assertClose } from "./helpers.js";
+
+/**
+ * Side lengths of all solutions, rounded to 6 decimal places and sorted.
+ * @param {Object} result
+ * @returns {Array.Array.number}
+ */
+function sides(result) {
+    return result.solutions.map(s => { return [s.a, s.b, s.c].map(side => { return roundToPrecision(side, 6) }) })
+        .sort((x, y) => { return x[0] - y[0] || x[1] - y[1] });
+}
+
+const reference = solve({ a: 5, b: 6, c: 7 }).solutions[0];
+const radius = (value) => { return { radius: value } };
+
+test("area, perimeter and circumradius match all labelings of a scalene triangle", () => {
+    const result = solve({ area: reference.area, perimeter: reference.perimeter, circumcircle: radius(reference.circumcircle.radius) });
+    assert.equal(result.error, undefined);
+    assert.deepEqual(sides(result), [[5, 6, 7], [5, 7, 6], [6, 5, 7], [6, 7, 5], [7, 5, 6], [7, 6, 5]]);
+});
+
+test("roots of an equilateral triangle are merged", () => {
+    const equilateral = solve({ a: 2, b: 2, c: 2 }).solutions[0];
+    const result = solve({ area: equilateral.area, perimeter: equilateral.perimeter, circumcircle: radius(equilateral.circumcircle.radius) });
+    assert.deepEqual(sides(result), [[2, 2, 2]]);
+});
+
+test("dependent derived quantities", () => {
+    /* The incircle radius follows from area and perimeter */
+    const result = solve({ area: reference.area, perimeter: reference.perimeter, incircle: radius(reference.incircle.radius) });
+    assert.equal(result.error, "Unsolvable: Parameters are not independent, infinitely many triangles are possible.");
+    assert.equal(solve({ area: reference.area, perimeter: reference.perimeter, incircle: radius(1) }).error,
+        "Unsolvable: No solution is possible for given parameters.");
+});
+
+test("altitudes and medians", () => {
+    const altitudes = solve({ ha: reference.ha, hb: reference.hb, hc: reference.hc });
+    assert.deepEqual(sides(altitudes), [[5, 6, 7]]);
+    const medians = solve({ ma: Math.sqrt(145) / 2, mb: Math.sqrt(112) / 2, mc: Math.sqrt(73) / 2 });
+    assert.deepEqual(sides(medians), [[5, 6, 7]]);
+});
+
+test("derived quantity with side and angle", () => {
+    const result = solve({ area: 12, c: 5, gamma: 40 });
+    assert.equal(result.solutions.length, 2);
+    for (const solution of result.solutions) {
+        assertClose(solution.area, 12);
+        assertClose(solution.c, 5);
+    }
+});
+
+test("given median is checked against the solution", () => {
+    assert.equal(solve({ a: 5, b: 6, c: 7, ma: Math.sqrt(145) / 2 }).error, undefined);
+    assert.match(solve({ a: 5, b: 6, c: 7, ma: 4 }).error, /^Calculated value for "ma" different from input/);
+});
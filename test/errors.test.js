@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, solvePoints, errorCodes } from "../index.js";
+import { addError } from "../errors.js";
+
+test("errors have a code, the parameters and their values", () => {
+    const result = solve({ a: 1, b: 2, c: 5 });
+    assert.equal(result.errors[0].code, errorCodes.NO_SOLUTION);
+    assert.equal(result.error, result.errors[0].message);
+    assert.deepEqual(result.errors[0].parameters, ["a", "b", "c"]);
+    assert.deepEqual(result.errors[0].values, { a: 1, b: 2, c: 5 });
+});
+
+test("all illegal values are reported", () => {
+    const result = solve({ a: -1, b: "x", gamma: 30 });
+    assert.deepEqual(result.errors.map(e => { return [e.code, e.parameters] }), [[errorCodes.ILLEGAL_VALUE, ["a"]], [errorCodes.ILLEGAL_VALUE, ["b"]]]);
+});
+
+test("inconsistent input contains the calculated value", () => {
+    const [error] = solve({ a: 3, b: 4, c: 5, gamma: 80 }).errors;
+    assert.equal(error.code, errorCodes.INCONSISTENT_INPUT);
+    assert.equal(error.calculated.gamma, 90);
+});
+
+test("repeated coordinates", () => {
+    assert.equal(solvePoints([0, 0], [0, 0], [1, 1]).errors[0].code, errorCodes.REPEATED_COORDINATES);
+});
+
+test("nested parameters are looked up by path", () => {
+    const result = addError({ a: 3, incircle: { radius: 1 } }, errorCodes.INCONSISTENT_INPUT, "error", ["a", "incircle.radius", "circumcircle.radius"]);
+    assert.deepEqual(result.errors[0].values, { a: 3, "incircle.radius": 1, "circumcircle.radius": undefined });
+    assert.equal(result.error, "error");
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve } from "../index.js";
+
+test("exact values replace the floating point values", () => {
+    const solution = solve({ a: 1, b: 1, gamma: 90, exact: true }).solutions[0];
+    assert.deepEqual(solution.exact.c, { text: "sqrt(2)", value: Math.SQRT2 });
+    assert.equal(solution.alpha, 45);
+    assert.equal(solution.classification.angleType, "right");
+    assert.deepEqual(solve({ a: 0.1, b: 0.1, c: 0.1, exact: true }).solutions[0].exact.area.text, "sqrt(3)/400");
+    assert.equal(solve({ a: 1, b: 1, c: 1, outputMode: "rad", exact: true }).solutions[0].exact.alpha.text, "pi/3");
+});
+
+test("surds are combined into one square root", () => {
+    const { exact } = solve({ a: 2, b: 3, gamma: 60, exact: true }).solutions[0];
+    assert.equal(exact.hc.text, "3*sqrt(21)/7");
+    assert.equal(exact.circumcircle.radius.text, "sqrt(21)/3");
+    assert.equal(exact.perimeter.text, "5 + sqrt(7)");
+});
+
+test("incircle radius with a perimeter of several terms", () => {
+    const solution = solve({ a: 2, b: 3, gamma: 60, exact: true }).solutions[0];
+    assert.equal(solution.exact.incircle.radius.text, "5*sqrt(3)/6 - sqrt(21)/6");
+    assert.ok(Math.abs(solution.incircle.radius - 2 * solution.area / solution.perimeter) < 1e-15);
+    const asa = solve({ alpha: 45, beta: 60, c: 1, exact: true }).solutions[0];
+    assert.ok(Math.abs(asa.exact.incircle.radius.value - 2 * asa.area / asa.perimeter) < 1e-15);
+});
+
+test("floating point solutions are merged into the exact ones", () => {
+    const result = solve({ a: 1, b: 2, alpha: 30, exact: true });
+    assert.equal(result.solutions.length, 1);
+    assert.equal(result.solutions[0].gamma, 60);
+    assert.equal(result.solutions[0].exact.c.text, "sqrt(3)");
+    assert.equal(result.solutions[0].classification.angleType, "right");
+});
+
+test("NOT_EXACT warnings", () => {
+    const nested = solve({ a: 7, b: 8, alpha: 45, exact: true });
+    assert.equal(nested.solutions.length, 2);
+    assert.equal(nested.warnings[0].code, "NOT_EXACT");
+    assert.match(nested.warnings[0].message, /nested square root/);
+    assert.match(solve({ a: 1, b: 1, gamma: 0.5, mode: "rad", exact: true }).warnings[0].message, /"deg", "grad" or "turn"/);
+    assert.match(solve({ a: 1, b: 1, gamma: 31, exact: true }).warnings[0].message, /multiples of 15 degrees/);
+    assert.equal(solve({ area: 6, a: 3, b: 4, exact: true }).warnings[0].code, "NOT_EXACT");
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve } from "../index.js";
+import { assertClose } from "./helpers.js";
+
+test("SSS steps end with the angle sum", () => {
+    const { explanation } = solve({ a: 3, b: 4, c: 5, explain: true });
+    assert.equal(explanation.case, "SSS");
+    assert.equal(explanation.steps.length, 3);
+    assert.match(explanation.steps[0].rule, /^law of cosines/);
+    assertClose(explanation.steps[0].result.alpha, 36.86989764584402);
+    assertClose(explanation.steps[1].result.beta, 53.13010235415598);
+    assert.deepEqual(explanation.steps[2], { rule: "angle sum", formula: "gamma = 180 - alpha - beta", substituted: "gamma = 180 - 36.86989765 - 53.13010235", result: { gamma: 90 } });
+});
+
+test("ambiguous SSA explains both candidates", () => {
+    const { explanation } = solve({ a: 3, b: 4, alpha: 30, explain: true });
+    assert.equal(explanation.case, "SSA");
+    assert.deepEqual(explanation.ambiguity.candidates.map(c => { return c.valid }), [true, true]);
+    assert.match(explanation.ambiguity.reason, /two triangles\.$/);
+    assert.deepEqual([...new Set(explanation.steps.map(step => { return step.solution }))], [1, 2]);
+    assert.equal(explanation.steps[3].rule, "law of sines, supplementary angle");
+});
+
+test("derived quantities are scaled for every solution", () => {
+    const { explanation } = solve({ area: 12, c: 5, gamma: 40, explain: true });
+    assert.equal(explanation.case, "derived");
+    assert.deepEqual(explanation.steps.map(step => { return step.rule }), ["numeric root search", "scaling", "scaling"]);
+});
+
+test("no explanation without the option", () => {
+    assert.equal(solve({ a: 3, b: 4, c: 5 }).explanation, undefined);
+});
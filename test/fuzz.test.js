@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fuzzSolvers } from "../index.js";
+
+test("solve and solvePoints agree on random exercises", () => {
+    const report = fuzzSolvers(1000, { seed: 1 });
+    assert.ok(report.checked > 1000);
+    assert.deepEqual(report.mismatches, []);
+});
+
+test("solve and solvePoints agree on random ambiguous cases", () => {
+    assert.deepEqual(fuzzSolvers(300, { seed: 2, case: "SSA" }).mismatches, []);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, generateTriangle, generateTriangles } from "../index.js";
+
+test("the same seed gives the same exercise", () => {
+    const first = generateTriangle({ seed: 42 });
+    assert.deepEqual(generateTriangle({ seed: 42 }).given, first.given);
+    assert.equal(Object.keys(first.given).length, 3);
+    assert.deepEqual(first.answer.solutions, solve({ ...first.given, mode: "deg" }).solutions);
+    assert.deepEqual(generateTriangles(5, { seed: "worksheet" }).map(e => { return e.given }), generateTriangles(5, { seed: "worksheet" }).map(e => { return e.given }));
+});
+
+test("case, solution count and class", () => {
+    assert.equal(generateTriangle({ seed: 42, case: "SSA", solutionCount: 2 }).answer.solutions.length, 2);
+    const none = generateTriangle({ seed: 7, case: "SSS", solutionCount: 0 });
+    assert.equal(none.answer.errors[0].code, "NO_SOLUTION");
+    for (const exercise of generateTriangles(10, { seed: 3, case: "SAS", class: "obtuse" })) {
+        assert.equal(exercise.case, "SAS");
+        assert.ok(exercise.answer.solutions.some(s => { return s.classification.angleType === "obtuse" }));
+    }
+    const rounded = generateTriangle({ seed: 5, case: "SSS", sideDecimals: 1, sides: [2, 5] });
+    for (const side of Object.values(rounded.given)) {
+        assert.ok(side >= 2 && side <= 5);
+        assert.equal(Math.round(side * 10) / 10, side);
+    }
+});
+
+test("angle modes", () => {
+    const exercise = generateTriangle({ seed: 11, case: "ASA", mode: "rad", angleDecimals: 2 });
+    const angles = Object.entries(exercise.given).filter(([name]) => { return name.length > 1 }).map(([, value]) => { return value });
+    assert.ok(angles.every(x => { return x > 0 && x < Math.PI }));
+    assert.equal(generateTriangle({ mode: "xx" }).errors[0].code, "UNKNOWN_MODE");
+});
+
+test("invalid options", () => {
+    assert.equal(generateTriangle({ case: "SSSS" }).errors[0].code, "ILLEGAL_VALUE");
+    assert.deepEqual(generateTriangle({ case: "SSS", solutionCount: 2 }).errors[0].parameters, ["case", "solutionCount"]);
+    assert.deepEqual(generateTriangle({ sides: [5, 1] }).errors[0].parameters, ["sides"]);
+    assert.deepEqual(generateTriangle({ sideDecimals: 0.5 }).errors[0].parameters, ["sideDecimals"]);
+    assert.equal(generateTriangle({ seed: 1, case: "SSS", class: "right", sides: [1, 4], maxAttempts: 5 }).errors[0].code, "NO_SOLUTION");
+});
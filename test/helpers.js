@@ -0,0 +1,29 @@
+/**
+ * @author Michael Meigel
+ *
+ * Assertions for floating point results shared by the tests.
+ */
+
+import assert from "node:assert/strict";
+
+/**
+ * Asserts that two numbers are equal up to a relative tolerance, absolute for numbers below 1.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} [tolerance=1e-9]
+ */
+export function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} != ${expected}`);
+}
+
+/**
+ * Asserts that a Point is close to the expected coordinates.
+ * @param {{x: number, y: number}} point
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [tolerance=1e-9]
+ */
+export function assertPoint(point, x, y, tolerance = 1e-9) {
+    assertClose(point.x, x, tolerance);
+    assertClose(point.y, y, tolerance);
+}
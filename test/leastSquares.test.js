@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, errorCodes } from "../index.js";
+import { assertClose } from "./helpers.js";
+
+test("misread angle is found by data snooping", () => {
+    const result = solve({ a: 3.01, b: 3.99, c: 5.0, alpha: 36.9, beta: 58, gamma: 90.05,
+        deviations: { a: 0.01, b: 0.01, c: 0.01, alpha: 0.05, beta: 0.05, gamma: 0.05 } });
+    assert.equal(result.error, undefined);
+    assert.equal(result.solutions.length, 1);
+    assertClose(result.solutions[0].a, 3.0034412960260566, 1e-6);
+    assert.deepEqual(result.adjustment.outliers, ["beta"]);
+    assert.equal(result.adjustment.degreesOfFreedom, 2);
+    assert.equal(result.adjustment.residuals.beta.outlier, true);
+    assertClose(result.adjustment.residuals.beta.adjusted, 53.02621874818496, 1e-6);
+});
+
+test("derived quantities are adjusted with the side lengths", () => {
+    const result = solve({ a: 3, b: 4, c: 5, ma: Math.sqrt(73) / 2, area: 6.01, deviations: { a: 0.01, b: 0.01, c: 0.01, ma: 0.01, area: 0.01 } });
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.adjustment.outliers, []);
+    assertClose(result.adjustment.residuals.area.adjusted, 6.008604384163017, 1e-6);
+    assertClose(result.adjustment.residuals.ma.adjusted, 4.272310986464905, 1e-6);
+});
+
+test("every given parameter needs a standard deviation", () => {
+    const result = solve({ a: 3, b: 4, c: 5, gamma: 90, deviations: { a: 0.01 } });
+    assert.deepEqual(result.errors.map(e => { return [e.code, e.parameters[0]] }),
+        [[errorCodes.ILLEGAL_VALUE, "deviations.gamma"], [errorCodes.ILLEGAL_VALUE, "deviations.b"], [errorCodes.ILLEGAL_VALUE, "deviations.c"]]);
+});
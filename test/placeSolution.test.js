@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, placeSolution } from "../index.js";
+import { assertPoint } from "./helpers.js";
+
+const solution = solve({ a: 3, b: 4, c: 5 }).solutions[0];
+
+test("translated and rotated placement", () => {
+    const placed = placeSolution(solution, { translation: [1, 1], rotation: 90 });
+    assertPoint(placed.A, 1, 1);
+    assertPoint(placed.B, 1, 6);
+    assertPoint(placed.C, -1.4, 4.2);
+    assertPoint(placed.solutions[0].circumcircle.center, 1, 3.5);
+});
+
+test("clockwise winding mirrors C", () => {
+    const placed = placeSolution(solution, { winding: "cw" });
+    assertPoint(placed.C, 3.2, -2.4);
+});
+
+test("translation and rotation are checked separately", () => {
+    assert.equal(placeSolution(solution, { translation: "x" }).error, "Illegal Parameter: translation - Must be a coordinate.");
+    assert.equal(placeSolution(solution, { rotation: "x" }).error, "Illegal Parameter: rotation - Must be a number.");
+});
+
+test("solution in another angle mode is rejected", () => {
+    const inRadians = solve({ a: 3, b: 4, c: 5, mode: "rad" }).solutions[0];
+    assert.match(placeSolution(inRadians).error, /^Inconsistent Parameter: solution - Side a = 3 doesn't match/);
+    assert.equal(placeSolution(inRadians, { mode: "rad" }).error, undefined);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solvePolygon } from "../index.js";
+
+const expectedAngles = [90, 90, 33.69006752597978, 292.61986494804046, 33.69006752597978];
+
+test("concave polygon", () => {
+    const solution = solvePolygon([[0, 0], [4, 0], [4, 4], [2, 1], [0, 4]]).solutions[0];
+    assert.equal(solution.area, 10);
+    assert.equal(solution.convex, false);
+    assert.equal(solution.winding, "ccw");
+    solution.angles.forEach((angle, i) => { assert.ok(Math.abs(angle - expectedAngles[i]) < 1e-9) });
+    assert.deepEqual(solution.triangles.map(triangle => { return triangle.vertices }), [[1, 2, 3], [0, 1, 3], [0, 3, 4]]);
+});
+
+test("clockwise polygon", () => {
+    const solution = solvePolygon([[0, 4], [2, 1], [4, 4], [4, 0], [0, 0]]).solutions[0];
+    assert.equal(solution.area, 10);
+    assert.equal(solution.winding, "cw");
+    solution.angles.forEach((angle, i) => { assert.ok(Math.abs(angle - [...expectedAngles].reverse()[i]) < 1e-9) });
+});
+
+test("self-intersecting polygon", () => {
+    const result = solvePolygon([[0, 0], [4, 4], [4, 0], [0, 4]]);
+    assert.equal(result.errors[0].code, "SELF_INTERSECTION");
+    assert.deepEqual(result.errors[0].edges, [0, 2]);
+});
+
+test("triangles of the triangulation are solved", () => {
+    const solution = solvePolygon([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 3 }, { x: 0, y: 3 }], "rad").solutions[0];
+    assert.equal(solution.area, 12);
+    assert.equal(solution.convex, true);
+    assert.equal(solution.triangles.length, 2);
+    solution.angles.forEach(angle => { assert.ok(Math.abs(angle - Math.PI / 2) < 1e-12) });
+});
+
+test("invalid polygons", () => {
+    assert.equal(solvePolygon([[0, 0], [1, 1]]).errors[0].code, "ILLEGAL_VALUE");
+    const result = solvePolygon([[0, 0], [1, 0, 1], [0, 1]], "xx");
+    assert.deepEqual(result.errors.map(e => { return e.code }), ["UNKNOWN_MODE", "ILLEGAL_VALUE"]);
+    assert.deepEqual(result.errors[1].parameters, ["points.1"]);
+});
+
+test("centroid and perimeter", () => {
+    const solution = solvePolygon([[0, 0], [4, 0], [4, 3], [0, 3]]).solutions[0];
+    assert.equal(solution.perimeter, 14);
+    assert.deepEqual(solution.centroid, { x: 2, y: 1.5 });
+    assert.equal(solution.triangles[0].solution.area, 6);
+});
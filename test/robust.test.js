@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { triangleArea, orientation, solve, solvePoints } from "../index.js";
+import { assertClose } from "./helpers.js";
+
+test("triangleArea stays accurate for needle-like triangles", () => {
+    assert.equal(triangleArea(3, 4, 5), 6);
+    assert.equal(triangleArea(1e8, 1e8, 1e-3), 50000);
+    assert.ok(Number.isNaN(triangleArea(1, 2, 4)));
+});
+
+test("orientation is exact for nearly collinear points", () => {
+    assert.equal(orientation([0, 0], [1, 0], [0, 1]), 1);
+    assert.equal(orientation([0.5, 0.5], [12, 12], [24, 24]), 0);
+    assert.equal(orientation([0.5, 0.5000000000000001], [12, 12], [24, 24]), 1);
+});
+
+test("slivers are solved with a warning", () => {
+    const result = solvePoints([0, 0], [1, 0], [0.5, 1e-9]);
+    assert.equal(result.solutions[0].area, 5e-10);
+    assert.equal(result.warnings[0].code, "NEAR_DEGENERATE");
+    assert.equal(result.warnings[0].solution, 0);
+});
+
+test("angles of needle-like triangles", () => {
+    const solution = solve({ a: 1e-7, b: 1, c: 1 }).solutions[0];
+    assertClose(solution.alpha, 1e-7 * 180 / Math.PI, 1e-12);
+    assertClose(solution.beta, solution.gamma);
+});
+
+test("explain shows the half-angle form of the law of cosines", () => {
+    const { explanation } = solve({ a: 3, b: 4, c: 5, explain: true });
+    assert.equal(explanation.steps[0].rule, "law of cosines, half-angle form");
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solvePoints } from "../index.js";
+import { assertClose, assertPoint } from "./helpers.js";
+
+test("orthocenter and altitude feet of a right triangle", () => {
+    const solution = solvePoints([0, 0], [4, 0], [0, 3]).solutions[0];
+    assertPoint(solution.orthocenter, 0, 0);
+    assertPoint(solution.altitudeFeet.a, 1.44, 1.92);
+    assertPoint(solution.altitudeFeet.b, 0, 0);
+});
+
+test("nine-point circle and Euler line", () => {
+    const solution = solvePoints([0, 0], [4, 0], [0, 3]).solutions[0];
+    assertPoint(solution.ninePointCircle.center, 1, 0.75);
+    assertClose(solution.ninePointCircle.radius, solution.circumcircle.radius / 2);
+    assertPoint(solution.eulerLine.point, 4 / 3, 1);
+    assertClose(Math.abs(solution.eulerLine.direction.x * 0.6 - solution.eulerLine.direction.y * 0.8), 0);
+    assert.equal(solvePoints([0, 0], [2, 0], [1, Math.sqrt(3)]).solutions[0].eulerLine, null);
+});
+
+test("excircles", () => {
+    const { excircles } = solvePoints([0, 0], [4, 0], [0, 3]).solutions[0];
+    assertPoint(excircles.a.center, 6, 6);
+    assertClose(excircles.a.radius, 6);
+    assertPoint(excircles.b.center, -2, 2);
+    assertClose(excircles.b.radius, 2);
+    assertPoint(excircles.c.center, 3, -3);
+    assertClose(excircles.c.radius, 3);
+});
+
+test("three-dimensional points", () => {
+    const result = solvePoints([1, 0, 0], { x: 0, y: 1, z: 0 }, [0, 0, 1]);
+    const solution = result.solutions[0];
+    assertClose(solution.area, Math.sqrt(3) / 2);
+    const n = 1 / Math.sqrt(3);
+    assertPoint(solution.normal, n, n);
+    assertClose(solution.normal.z, n);
+    assertClose(solution.plane.d, -n);
+    assertClose(solution.circumcircle.center.z, 1 / 3);
+});
+
+test("missing z values are 0", () => {
+    const solution = solvePoints([0, 0], [4, 0, 0], { x: 0, y: 3, z: 0 }).solutions[0];
+    assertClose(solution.area, 6);
+    assertClose(solution.normal.z, 1);
+});
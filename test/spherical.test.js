@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solveSpherical } from "../index.js";
+import { assertClose } from "./helpers.js";
+
+test("octant of a sphere", () => {
+    const solution = solveSpherical({ a: 90, b: 90, c: 90, radius: 2 }).solutions[0];
+    for (const name of ["a", "b", "c", "alpha", "beta", "gamma", "excess"]) {
+        assertClose(solution[name], 90);
+    }
+    assertClose(solution.area, 2 * Math.PI);
+    assertClose(solution.perimeter, 3 * Math.PI);
+});
+
+test("SAS with the spherical law of cosines", () => {
+    const solution = solveSpherical({ a: 60, b: 60, gamma: 90 }).solutions[0];
+    assertClose(solution.c, Math.acos(0.25) * 180 / Math.PI);
+    assertClose(solution.alpha, solution.beta);
+});
+
+test("AAA determines the triangle", () => {
+    const solution = solveSpherical({ alpha: 90, beta: 90, gamma: 90 }).solutions[0];
+    assertClose(solution.a, 90);
+    assertClose(solution.area, Math.PI / 2);
+});
+
+test("ambiguous SSA and impossible angles", () => {
+    assert.equal(solveSpherical({ a: 40, b: 60, alpha: 30 }).solutions.length, 2);
+    assert.equal(solveSpherical({ alpha: 60, beta: 60, gamma: 60 }).error, "Unsolvable: Impossible combination of angles: 60, 60, 60");
+});
+
+test("more than 3 parameters are checked", () => {
+    assert.match(solveSpherical({ a: 90, b: 90, c: 90, alpha: 60 }).error, /^Calculated value for "alpha" different from input/);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { forwardIntersection, trilateration, resection } from "../index.js";
+import { assertClose, assertPoint } from "./helpers.js";
+
+test("forwardIntersection", () => {
+    const result = forwardIntersection([0, 0], [100, 0], "N 45° E", "N 45° W");
+    assertPoint(result.solutions[0].point, 50, 50);
+    assertPoint(forwardIntersection({ x: 0, y: 0 }, { x: 100, y: 0 }, 45, 315).solutions[0].point, 50, 50);
+    assertClose(result.solutions[0].triangles[0].gamma, 90);
+    assert.equal(forwardIntersection([0, 0], [100, 0], 45, 45).errors[0].code, "NO_SOLUTION");
+});
+
+test("trilateration has a solution on each side of AB", () => {
+    const result = trilateration([0, 0], [8, 0], 5, 5);
+    assert.equal(result.solutions.length, 2);
+    assertPoint(result.solutions[0].point, 4, 3);
+    assertPoint(result.solutions[1].point, 4, -3);
+});
+
+test("trilateration with touching and separate circles", () => {
+    const touching = trilateration([0, 0], [8, 0], 3, 5);
+    assert.equal(touching.solutions.length, 1);
+    assertPoint(touching.solutions[0].point, 3, 0);
+    assert.deepEqual(touching.solutions[0].triangles, []);
+    assert.equal(trilateration([0, 0], [8, 0], 1, 2).errors[0].code, "NO_SOLUTION");
+});
+
+test("trilateration distances must be finite", () => {
+    for (const distance of [Infinity, -1, 0, "x", null]) {
+        const result = trilateration([0, 0], [8, 0], distance, 5);
+        assert.equal(result.errors[0].code, "ILLEGAL_VALUE");
+        assert.deepEqual(result.errors[0].parameters, ["distanceA"]);
+    }
+});
+
+test("resection", () => {
+    assertPoint(resection([0, 100], [100, 100], [100, 0], 90, 90).solutions[0].point, 50, 50);
+    /* P on the danger circle */
+    assert.equal(resection([-1, 0], [0, 1], [1, 0], 45, 45).errors[0].code, "NO_SOLUTION");
+});
+
+test("invalid stations and modes", () => {
+    const result = trilateration([0, 0, 1], [8, 0], 5, 5, "xx");
+    assert.deepEqual(result.errors.map(e => { return e.code }), ["UNKNOWN_MODE", "ILLEGAL_VALUE"]);
+    assert.equal(forwardIntersection([1, 1], [1, 1], 0, 90).errors[0].code, "REPEATED_COORDINATES");
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, solvePoints, renderSVG } from "../index.js";
+
+test("given coordinates are kept", () => {
+    const svg = renderSVG(solvePoints([0, 0], [4, 0], [0, 3]), { values: true });
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="400" height="320"/);
+    assert.match(svg, /<polygon class="triangle" points="40,280 360,280 40,40"/);
+    assert.match(svg, />α = 90°</);
+    assert.match(svg, />a = 5</);
+});
+
+test("points given as Objects", () => {
+    const svg = renderSVG(solvePoints({ x: 0, y: 0 }, { X: 4, Y: 0 }, [0, 3]));
+    assert.match(svg, /points="40,280 360,280 40,40"/);
+});
+
+test("one drawing for each solution", () => {
+    const svg = renderSVG(solve({ a: 3, b: 4, alpha: 30 }), { altitudes: true, incircle: true, circumcircle: true, centroid: true });
+    assert.equal(svg.match(/<g class="solution"/g).length, 2);
+    assert.match(svg, /width="800"/);
+    for (const part of ["altitudes", "incircle", "circumcircle", "centroid"]) {
+        assert.equal(svg.match(new RegExp(`<g class="${part}"`, "g")).length, 2);
+    }
+});
+
+test("three-dimensional triangles are placed in the plane", () => {
+    const svg = renderSVG(solvePoints([0, 0, 0], [0, 4, 0], [0, 0, 3]), { values: true });
+    assert.match(svg, />a = 5</);
+    assert.match(svg, /<polygon class="triangle"/);
+});
+
+test("no drawing without solutions", () => {
+    assert.equal(renderSVG(solve({ a: 1, b: 1, c: 3 })), null);
+    assert.equal(renderSVG(null), null);
+});
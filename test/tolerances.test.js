@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, errorCodes } from "../index.js";
+import { assertClose } from "./helpers.js";
+
+test("standard deviations are propagated", () => {
+    const { uncertainty } = solve({ a: { value: 3, sigma: 0.01 }, b: 4, c: 5 }).solutions[0];
+    assertClose(uncertainty.alpha.sigma, 0.143239448853, 1e-6);
+    assertClose(uncertainty.area.sigma, 0.02, 1e-6);
+    assertClose(uncertainty.ma.sigma, 0.0017556172116, 1e-6);
+});
+
+test("intervals give bounds of the calculated values", () => {
+    const { uncertainty } = solve({ a: [2.9, 3.1], b: 4, c: 5 }).solutions[0];
+    assertClose(uncertainty.area.min, 5.798124157863472, 1e-6);
+    assertClose(uncertainty.area.max, 6.1981242122113045, 1e-6);
+    assert.ok(uncertainty.gamma.min < 90 && uncertainty.gamma.max > 90);
+});
+
+test("solution count may change close to the ambiguous boundary", () => {
+    const result = solve({ a: 2.01, b: 4, alpha: [29, 31] });
+    assert.equal(result.solutions.length, 2);
+    assert.deepEqual(result.possibleSolutionCounts, [0, 2]);
+    assert.equal(result.solutionCountMayChange, true);
+    assertClose(result.solutions[0].uncertainty.alpha.max, 30.165536957432433, 1e-6);
+});
+
+test("malformed tolerances", () => {
+    assert.equal(solve({ a: [3.1, 2.9], b: 4, c: 5 }).errors[0].code, errorCodes.ILLEGAL_VALUE);
+    assert.equal(solve({ a: { value: 3, sigma: -1 }, b: 4, c: 5 }).errors[0].code, errorCodes.ILLEGAL_VALUE);
+});